@@ -22,6 +22,10 @@ final class Note {
     var highlightsData: Data?
     var readingProgressData: Data?
 
+    /// `clip_id` from DURA Clipper's front matter. Importing a clip with the
+    /// same ID replaces this note instead of creating a new one.
+    var clipID: String?
+
     @Relationship(inverse: \Tag.notes)
     var tags: [Tag]? = []
 
@@ -7,8 +7,11 @@ import SwiftUI
 ///
 /// Uses the macOS FSEvents API (`FSEventStream`) to react to file system changes
 /// near-instantly without polling. When a new markdown file appears in the watched
-/// folder, it is imported via `ImportService`, then moved to a `.imported/` subfolder
-/// to prevent re-processing.
+/// folder, or in a subfolder created by the clipper's filename template, it is
+/// imported via `ImportService`, then moved to a `.imported/` subfolder
+/// to prevent re-processing. Images the clipper downloaded into the `assets/`
+/// subfolder are attached to the imported note and left in place, because
+/// clips share them by content hash.
 @MainActor
 @Observable
 final class ClipFolderWatcher {
@@ -24,9 +27,12 @@ final class ClipFolderWatcher {
 
     @ObservationIgnored private var eventStream: FSEventStreamRef?
 
-    /// Files currently being processed (to avoid double-import).
+    /// Paths of files currently being processed (to avoid double-import).
     @ObservationIgnored private var inflight: Set<String> = []
 
+    /// Subfolder DURA Clipper downloads clip images into.
+    static let assetsFolderName = "assets"
+
     static let watchedExtensions: Set<String> = [
         "md", "txt", "rtf",
         "pdf", "docx",
@@ -149,19 +155,29 @@ final class ClipFolderWatcher {
     private func scanAndImport() {
         let folderURL = ClipFolderWatcher.watchFolderURL
 
-        guard let contents = try? FileManager.default.contentsOfDirectory(
+        guard let enumerator = FileManager.default.enumerator(
             at: folderURL,
-            includingPropertiesForKeys: nil,
+            includingPropertiesForKeys: [.isDirectoryKey],
             options: [.skipsHiddenFiles]
         ) else { return }
 
-        let matchingFiles = contents.filter { url in
-            Self.watchedExtensions.contains(url.pathExtension.lowercased()) && !inflight.contains(url.lastPathComponent)
+        var matchingFiles: [URL] = []
+        for case let url as URL in enumerator {
+            let isDirectory = (try? url.resourceValues(forKeys: [.isDirectoryKey]).isDirectory) ?? false
+            if isDirectory {
+                // Downloaded images are attached to their notes, not imported
+                if url.lastPathComponent == Self.assetsFolderName {
+                    enumerator.skipDescendants()
+                }
+                continue
+            }
+            if Self.watchedExtensions.contains(url.pathExtension.lowercased()) && !inflight.contains(url.path) {
+                matchingFiles.append(url)
+            }
         }
 
         for fileURL in matchingFiles {
-            let filename = fileURL.lastPathComponent
-            inflight.insert(filename)
+            inflight.insert(fileURL.path)
 
             Task {
                 await importAndMove(fileURL: fileURL)
@@ -177,7 +193,7 @@ final class ClipFolderWatcher {
 
         // Verify file still exists
         guard FileManager.default.fileExists(atPath: fileURL.path) else {
-            inflight.remove(filename)
+            inflight.remove(fileURL.path)
             return
         }
 
@@ -186,7 +202,7 @@ final class ClipFolderWatcher {
 
         do {
             let service = ImportService(dataService: dataService)
-            let note = try await service.importFile(at: fileURL)
+            let note = try await service.importFile(at: fileURL, assetRoot: folderURL)
             lastImportedTitle = note.title
             lastImportedAt = Date()
             importedCount += 1
@@ -203,7 +219,7 @@ final class ClipFolderWatcher {
             try FileManager.default.moveItem(at: fileURL, to: destination)
         } catch {
             // Leave file in place so user can retry; allow re-scan next cycle
-            inflight.remove(filename)
+            inflight.remove(fileURL.path)
         }
     }
 }
@@ -116,6 +116,13 @@ final class DataService: @unchecked Sendable {
         return results
     }
 
+    /// The note imported from the web clip with this `clip_id`, if any.
+    func fetchNote(clipID: String) throws -> Note? {
+        var descriptor = FetchDescriptor<Note>(predicate: #Predicate { $0.clipID == clipID })
+        descriptor.fetchLimit = 1
+        return try modelContext.fetch(descriptor).first
+    }
+
     func deleteNote(_ note: Note) {
         modelContext.delete(note)
     }
@@ -0,0 +1,362 @@
+import Foundation
+
+/// A value parsed from YAML front matter. Scalars keep their source text
+/// (`true`, `42`), so callers decide how to interpret them.
+enum FrontMatterValue: Equatable, Sendable {
+    case string(String)
+    case list([FrontMatterValue])
+    case map([String: FrontMatterValue])
+    case null
+
+    var stringValue: String? {
+        if case .string(let value) = self { value } else { nil }
+    }
+
+    var listValue: [FrontMatterValue]? {
+        if case .list(let value) = self { value } else { nil }
+    }
+
+    var mapValue: [String: FrontMatterValue]? {
+        if case .map(let value) = self { value } else { nil }
+    }
+}
+
+/// Parses the YAML subset DURA Clipper writes (`dura-clipper/yaml.js`):
+/// block mappings and sequences nested by indentation, double- and single-quoted
+/// strings, literal and folded block scalars, and flow lists of scalars.
+///
+/// Lines it doesn't understand are skipped rather than failing the import.
+struct FrontMatterParser {
+    private var lines: [String]
+    private var index = 0
+
+    private init(text: String) {
+        lines = text
+            .replacingOccurrences(of: "\r\n", with: "\n")
+            .replacingOccurrences(of: "\r", with: "\n")
+            .components(separatedBy: "\n")
+    }
+
+    /// Parses a front matter block (without the `---` delimiters) into its
+    /// top-level mapping. Returns an empty dictionary when nothing parses.
+    static func parse(_ text: String) -> [String: FrontMatterValue] {
+        var parser = FrontMatterParser(text: text)
+        guard parser.skipBlank() else { return [:] }
+        let value = parser.parseBlock(indent: indentOf(parser.lines[parser.index]))
+        return value.mapValue ?? [:]
+    }
+
+    // MARK: - Blocks
+
+    private mutating func parseBlock(indent: Int) -> FrontMatterValue {
+        let line = String(lines[index].dropFirst(indent))
+        return Self.isSequenceItem(line) ? parseSequence(indent: indent) : parseMapping(indent: indent)
+    }
+
+    private mutating func parseMapping(indent: Int) -> FrontMatterValue {
+        var result: [String: FrontMatterValue] = [:]
+
+        while skipBlank(), Self.indentOf(lines[index]) == indent {
+            let line = String(lines[index].dropFirst(indent))
+            if Self.isSequenceItem(line) { break }
+
+            let entry = splitKey(line)
+            index += 1
+            guard let entry else { continue } // not a `key: value` line — skip it
+
+            result[entry.key] = parseValue(entry.rest, indent: indent, inMapping: true)
+        }
+
+        return .map(result)
+    }
+
+    private mutating func parseSequence(indent: Int) -> FrontMatterValue {
+        var result: [FrontMatterValue] = []
+
+        while skipBlank(), Self.indentOf(lines[index]) == indent {
+            let line = String(lines[index].dropFirst(indent))
+            guard Self.isSequenceItem(line) else { break }
+
+            let rest = String(line.dropFirst().drop(while: { $0 == " " }))
+            let column = indent + line.count - rest.count
+
+            if let first = rest.first, !"\"'[{|>".contains(first), splitKey(rest) != nil {
+                // `- key: value` starts a mapping indented to the item's column
+                lines[index] = String(repeating: " ", count: column) + rest
+                result.append(parseMapping(indent: column))
+            } else {
+                index += 1
+                result.append(parseValue(rest, indent: indent, inMapping: false))
+            }
+        }
+
+        return .list(result)
+    }
+
+    /// The value after `key:` or `-`. An empty value introduces a nested block.
+    private mutating func parseValue(_ rest: String, indent: Int, inMapping: Bool) -> FrontMatterValue {
+        let trimmed = Self.stripComment(rest).trimmingCharacters(in: .whitespaces)
+
+        if trimmed.hasPrefix("|") || trimmed.hasPrefix(">") {
+            return .string(parseBlockScalar(header: trimmed, indent: indent))
+        }
+        if !trimmed.isEmpty {
+            return parseInline(trimmed)
+        }
+
+        if skipBlank() {
+            let nextIndent = Self.indentOf(lines[index])
+            if nextIndent > indent {
+                return parseBlock(indent: nextIndent)
+            }
+            // YAML allows a mapping's list value at the key's own indentation
+            if inMapping, nextIndent == indent,
+               Self.isSequenceItem(String(lines[index].dropFirst(indent))) {
+                return parseSequence(indent: indent)
+            }
+        }
+        return .null
+    }
+
+    private mutating func parseBlockScalar(header: String, indent: Int) -> String {
+        let folded = header.hasPrefix(">")
+        let keep = header.contains("+")
+        let strip = header.contains("-")
+        let explicitIndent = header.first(where: { $0.isNumber }).flatMap { Int(String($0)) }
+
+        var raw: [String] = []
+        while index < lines.count {
+            let line = lines[index]
+            if !Self.isBlank(line) && Self.indentOf(line) <= indent { break }
+            raw.append(line)
+            index += 1
+        }
+
+        let contentIndent: Int
+        if let explicitIndent {
+            contentIndent = indent + explicitIndent
+        } else if let first = raw.first(where: { !Self.isBlank($0) }) {
+            contentIndent = Self.indentOf(first)
+        } else {
+            contentIndent = indent + 2
+        }
+
+        var body = raw.map { String($0.dropFirst(contentIndent)) }
+        if folded {
+            body = Self.foldLines(body)
+        }
+
+        var trailing = 0
+        while let last = body.last, last.isEmpty {
+            body.removeLast()
+            trailing += 1
+        }
+
+        let text = body.joined(separator: "\n")
+        if text.isEmpty { return "" }
+        if strip { return text }
+        if keep { return text + String(repeating: "\n", count: trailing + 1) }
+        return text + "\n"
+    }
+
+    // MARK: - Inline Values
+
+    private func parseInline(_ text: String) -> FrontMatterValue {
+        if text.hasPrefix("\"") {
+            return .string(Self.unquoteDouble(text))
+        }
+        if text.hasPrefix("'") {
+            return .string(Self.unquoteSingle(text))
+        }
+        if text == "[]" { return .list([]) }
+        if text == "{}" { return .map([:]) }
+        if text.hasPrefix("["), text.hasSuffix("]") {
+            let items = Self.splitFlow(String(text.dropFirst().dropLast()))
+            return .list(items.map { parseInline($0) })
+        }
+        if ["null", "~"].contains(text.lowercased()) {
+            return .null
+        }
+        return .string(text)
+    }
+
+    private static let escapes: [Unicode.Scalar: String] = [
+        "0": "\0", "a": "\u{07}", "b": "\u{08}", "t": "\t", "\t": "\t",
+        "n": "\n", "v": "\u{0B}", "f": "\u{0C}", "r": "\r", "e": "\u{1B}",
+        " ": " ", "\"": "\"", "/": "/", "\\": "\\",
+        "N": "\u{85}", "_": "\u{A0}", "L": "\u{2028}", "P": "\u{2029}",
+    ]
+
+    /// Decodes a double-quoted scalar, including `\xXX`, `\uXXXX` and `\UXXXXXXXX`.
+    static func unquoteDouble(_ text: String) -> String {
+        let scalars = Array(text.unicodeScalars)
+        var out = String.UnicodeScalarView()
+        var i = 1
+
+        while i < scalars.count {
+            let scalar = scalars[i]
+            if scalar == "\"" { break }
+            guard scalar == "\\", i + 1 < scalars.count else {
+                out.append(scalar)
+                i += 1
+                continue
+            }
+
+            let code = scalars[i + 1]
+            i += 2
+
+            let hexLength: Int? = switch code {
+            case "x": 2
+            case "u": 4
+            case "U": 8
+            default: nil
+            }
+
+            if let hexLength {
+                let end = min(i + hexLength, scalars.count)
+                let hex = String(String.UnicodeScalarView(scalars[i..<end]))
+                if let value = UInt32(hex, radix: 16), let decoded = Unicode.Scalar(value) {
+                    out.append(decoded)
+                }
+                i = end
+            } else {
+                out.append(contentsOf: (escapes[code] ?? String(code)).unicodeScalars)
+            }
+        }
+
+        return String(out)
+    }
+
+    private static func unquoteSingle(_ text: String) -> String {
+        let inner = text.dropFirst()
+        let content = inner.lastIndex(of: "'").map { inner[..<$0] } ?? inner
+        return content.replacingOccurrences(of: "''", with: "'")
+    }
+
+    /// Splits the inside of a flow list on commas outside quotes.
+    private static func splitFlow(_ text: String) -> [String] {
+        var items: [String] = []
+        var current = ""
+        var quote: Character?
+        var escaping = false
+
+        for ch in text {
+            if let activeQuote = quote {
+                current.append(ch)
+                if escaping {
+                    escaping = false
+                } else if ch == "\\" && activeQuote == "\"" {
+                    escaping = true
+                } else if ch == activeQuote {
+                    quote = nil
+                }
+            } else if ch == "\"" || ch == "'" {
+                quote = ch
+                current.append(ch)
+            } else if ch == "," {
+                items.append(current.trimmingCharacters(in: .whitespaces))
+                current = ""
+            } else {
+                current.append(ch)
+            }
+        }
+        items.append(current.trimmingCharacters(in: .whitespaces))
+        return items.filter { !$0.isEmpty }
+    }
+
+    // MARK: - Helpers
+
+    /// Splits `key: rest`, or returns nil when the line isn't a mapping entry.
+    private func splitKey(_ line: String) -> (key: String, rest: String)? {
+        if line.hasPrefix("\"") || line.hasPrefix("'") {
+            guard let end = Self.closingQuoteIndex(in: line) else { return nil }
+            let colon = line.index(after: end)
+            guard colon < line.endIndex, line[colon] == ":" else { return nil }
+            let key = parseInline(String(line[...end])).stringValue ?? ""
+            return (key, String(line[line.index(after: colon)...]))
+        }
+
+        guard let first = line.first, first != "#", first != ":",
+              let colon = line.firstIndex(of: ":") else { return nil }
+        let after = line.index(after: colon)
+        guard after == line.endIndex || line[after].isWhitespace else { return nil }
+
+        let key = line[..<colon].trimmingCharacters(in: .whitespaces)
+        return (key, String(line[after...]))
+    }
+
+    private static func closingQuoteIndex(in line: String) -> String.Index? {
+        guard let quote = line.first else { return nil }
+        var i = line.index(after: line.startIndex)
+        while i < line.endIndex {
+            let ch = line[i]
+            if quote == "\"" && ch == "\\" {
+                i = line.index(after: i)
+                if i == line.endIndex { return nil }
+            } else if ch == quote {
+                let next = line.index(after: i)
+                if quote == "'" && next < line.endIndex && line[next] == "'" {
+                    i = next
+                } else {
+                    return i
+                }
+            }
+            i = line.index(after: i)
+        }
+        return nil
+    }
+
+    private static func stripComment(_ text: String) -> String {
+        let trimmed = text.trimmingCharacters(in: .whitespaces)
+        if trimmed.hasPrefix("\"") || trimmed.hasPrefix("'") {
+            return text
+        }
+        return text.replacingOccurrences(of: #"\s+#.*$"#, with: "", options: .regularExpression)
+    }
+
+    /// A line break between text lines folds to a space; a run of n blank lines
+    /// folds to n newlines. Trailing blank lines are left for chomping.
+    private static func foldLines(_ lines: [String]) -> [String] {
+        var out: [String] = []
+        var blanks = 0
+        for line in lines {
+            if line.isEmpty {
+                blanks += 1
+                continue
+            }
+            if let last = out.last, blanks == 0,
+               line.first?.isWhitespace == false, last.first?.isWhitespace == false {
+                out[out.count - 1] = last + " " + line
+            } else {
+                let separators = out.isEmpty ? blanks : max(blanks - 1, 0)
+                out.append(contentsOf: Array(repeating: "", count: separators))
+                out.append(line)
+            }
+            blanks = 0
+        }
+        out.append(contentsOf: Array(repeating: "", count: blanks))
+        return out
+    }
+
+    private static func isSequenceItem(_ line: String) -> Bool {
+        line == "-" || line.hasPrefix("- ")
+    }
+
+    private static func isBlank(_ line: String) -> Bool {
+        line.trimmingCharacters(in: .whitespaces).isEmpty
+    }
+
+    private static func indentOf(_ line: String) -> Int {
+        line.prefix(while: { $0 == " " }).count
+    }
+
+    /// Advances past blank and comment lines; false at end of input.
+    private mutating func skipBlank() -> Bool {
+        while index < lines.count {
+            let trimmed = lines[index].trimmingCharacters(in: .whitespaces)
+            guard trimmed.isEmpty || trimmed.hasPrefix("#") else { return true }
+            index += 1
+        }
+        return false
+    }
+}
@@ -18,6 +18,17 @@ struct ImportResult: Sendable {
     var tagNames: [String]?
     var notebookName: String?
     var featuredImageURL: String?
+
+    /// DURA Clipper's `clip_id`; identifies re-clips of the same note.
+    var clipID: String?
+
+    /// Highlights made in the page before clipping (DURA Clipper's
+    /// `highlights` block), with ranges into `body`.
+    var highlights: [Highlight]?
+
+    /// Relative paths of local files the body references (e.g. `assets/…png`
+    /// images downloaded by DURA Clipper), resolved against the imported file.
+    var assetPaths: [String]?
 }
 
 // MARK: - Import Error
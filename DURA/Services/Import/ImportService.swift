@@ -36,9 +36,13 @@ final class ImportService {
 
     // MARK: - Import
 
+    /// Imports the file at `url`. Relative asset paths in clipped Markdown may
+    /// reach anywhere inside `assetRoot` (default: the file's own folder), so a
+    /// clip saved in a subfolder can link to the shared `../assets/` folder.
     func importFile(
         at url: URL,
         into notebook: Notebook? = nil,
+        assetRoot: URL? = nil,
         progress: @escaping @MainActor @Sendable (Double) -> Void = { _ in }
     ) async throws -> Note {
         let accessing = url.startAccessingSecurityScopedResource()
@@ -72,14 +76,21 @@ final class ImportService {
             targetNotebook = try findOrCreateNotebook(name: notebookName)
         }
 
-        // Create note
-        let note = dataService.createNote(
-            title: result.title,
-            body: result.body,
-            source: result.source,
-            kind: .article,
-            notebook: targetNotebook
-        )
+        // An updated web clip replaces the note imported from the earlier clip
+        let note: Note
+        if let clipID = result.clipID, let existing = try dataService.fetchNote(clipID: clipID) {
+            note = existing
+            replaceContent(of: note, with: result, notebook: targetNotebook)
+        } else {
+            note = dataService.createNote(
+                title: result.title,
+                body: result.body,
+                source: result.source,
+                kind: .article,
+                notebook: targetNotebook
+            )
+            note.clipID = result.clipID
+        }
         note.originalFormat = result.mimeType
         note.sourceURL = result.sourceURL ?? url.absoluteString
 
@@ -91,6 +102,10 @@ final class ImportService {
             }
         }
 
+        if let highlights = result.highlights {
+            mergeHighlights(highlights, into: note)
+        }
+
         // Create attachment with original file data
         let attachment = dataService.createAttachment(
             filename: result.originalFilename,
@@ -100,11 +115,74 @@ final class ImportService {
         )
         attachment.ocrText = result.ocrText
 
+        // Attach local assets (e.g. images downloaded by DURA Clipper)
+        if let assetPaths = result.assetPaths {
+            attachAssets(
+                assetPaths,
+                relativeTo: url.deletingLastPathComponent(),
+                within: assetRoot ?? url.deletingLastPathComponent(),
+                note: note
+            )
+        }
+
         try dataService.save()
 
         return note
     }
 
+    // MARK: - Clip Updates
+
+    /// Resets a previously imported clip to the new import: text, notebook, tags
+    /// and attachments come from `result`. User state (pins, favorites, reading
+    /// progress, highlights) is kept.
+    private func replaceContent(of note: Note, with result: ImportResult, notebook: Notebook?) {
+        note.title = result.title
+        note.body = result.body
+        note.source = result.source
+        note.modifiedAt = Date()
+        if let notebook {
+            note.notebook = notebook
+        }
+        for tag in note.tags ?? [] {
+            dataService.removeTag(tag, from: note)
+        }
+        for attachment in note.attachments ?? [] {
+            dataService.deleteAttachment(attachment)
+        }
+        note.attachments = []
+    }
+
+    /// Adds highlights made in the page before clipping. A re-clip brings the
+    /// same highlights again; those replace the earlier copies by ID.
+    private func mergeHighlights(_ highlights: [Highlight], into note: Note) {
+        let importedIDs = Set(highlights.map(\.id))
+        note.highlights = note.highlights.filter { !importedIDs.contains($0.id) } + highlights
+    }
+
+    // MARK: - Asset Attachments
+
+    /// Creates an attachment for each asset path, resolved against `baseURL`, that
+    /// names a readable file inside `rootURL`. Missing files are skipped so the
+    /// note still imports.
+    private func attachAssets(_ paths: [String], relativeTo baseURL: URL, within rootURL: URL, note: Note) {
+        let rootPath = rootURL.standardizedFileURL.path
+        for path in paths {
+            let decoded = path.removingPercentEncoding ?? path
+            let assetURL = baseURL.appendingPathComponent(decoded).standardizedFileURL
+            guard assetURL.path.hasPrefix(rootPath + "/"),
+                  let data = try? Data(contentsOf: assetURL) else { continue }
+
+            let mimeType = UTType(filenameExtension: assetURL.pathExtension)?.preferredMIMEType
+                ?? "application/octet-stream"
+            _ = dataService.createAttachment(
+                filename: assetURL.lastPathComponent,
+                data: data,
+                mimeType: mimeType,
+                note: note
+            )
+        }
+    }
+
     // MARK: - Notebook Resolution
 
     private func findOrCreateNotebook(name: String) throws -> Notebook {
@@ -17,14 +17,14 @@ struct MarkdownImportProvider: ImportProvider {
         progress(0.6)
 
         let title: String
-        if let fmTitle = frontMatter?["title"], !fmTitle.isEmpty {
+        if let fmTitle = frontMatter?["title"]?.stringValue, !fmTitle.isEmpty {
             title = fmTitle
         } else {
             title = extractTitle(from: body) ?? filenameStem(filename)
         }
 
         let source: ImportSource
-        if frontMatter?["source"] == "web" {
+        if frontMatter?["source"]?.stringValue == "web" {
             source = .web
         } else {
             source = .markdown
@@ -43,24 +43,66 @@ struct MarkdownImportProvider: ImportProvider {
 
         // Populate metadata from front matter
         if let fm = frontMatter {
-            result.sourceURL = fm["url"]
-            result.excerpt = fm["excerpt"]
-            result.notebookName = fm["notebook"]
-            result.featuredImageURL = fm["featured_image"]
+            result.sourceURL = fm["url"]?.stringValue
+            result.excerpt = fm["excerpt"]?.stringValue
+            result.notebookName = fm["notebook"]?.stringValue
+            result.featuredImageURL = fm["featured_image"]?.stringValue
+            result.clipID = fm["clip_id"]?.stringValue.flatMap { $0.isEmpty ? nil : $0 }
+
+            if let tags = fm["tags"] {
+                result.tagNames = tagNames(from: tags)
+            }
 
-            if let tagsString = fm["tags"] {
-                result.tagNames = parseTagsArray(tagsString)
+            if let entries = fm["highlights"]?.listValue {
+                let highlights = self.highlights(from: entries, in: body)
+                if !highlights.isEmpty {
+                    result.highlights = highlights
+                }
             }
         }
 
+        let assetPaths = localAssetPaths(in: body, featuredImage: result.featuredImageURL)
+        if !assetPaths.isEmpty {
+            result.assetPaths = assetPaths
+        }
+
         return result
     }
 
+    // MARK: - Local Assets
+
+    /// Collects relative image paths from `![alt](path)` references and a relative
+    /// `featured_image`, in order of first appearance. Remote URLs are skipped.
+    private func localAssetPaths(in body: String, featuredImage: String?) -> [String] {
+        var paths: [String] = []
+
+        let pattern = #"!\[[^\]]*\]\((\S+?)(?:\s+"[^"]*")?\)"#
+        if let regex = try? NSRegularExpression(pattern: pattern) {
+            let range = NSRange(body.startIndex..., in: body)
+            for match in regex.matches(in: body, range: range) {
+                if let pathRange = Range(match.range(at: 1), in: body) {
+                    paths.append(String(body[pathRange]))
+                }
+            }
+        }
+        if let featuredImage {
+            paths.append(featuredImage)
+        }
+
+        var seen: Set<String> = []
+        return paths.filter { isRelativePath($0) && seen.insert($0).inserted }
+    }
+
+    private func isRelativePath(_ path: String) -> Bool {
+        guard !path.isEmpty, !path.hasPrefix("/"), !path.hasPrefix("#") else { return false }
+        return URL(string: path)?.scheme == nil
+    }
+
     // MARK: - Front Matter Parsing
 
     /// Parses YAML front matter delimited by `---` at the start of the file.
-    /// Returns the parsed key-value pairs and the body text with front matter stripped.
-    private func parseFrontMatter(from text: String) -> ([String: String]?, String) {
+    /// Returns the parsed values and the body text with front matter stripped.
+    private func parseFrontMatter(from text: String) -> ([String: FrontMatterValue]?, String) {
         let trimmed = text.trimmingCharacters(in: .init(charactersIn: "\u{FEFF}")) // strip BOM
         guard trimmed.hasPrefix("---") else {
             return (nil, text)
@@ -79,49 +121,56 @@ struct MarkdownImportProvider: ImportProvider {
         let bodyStart = closingRange.upperBound
         let body = String(trimmed[bodyStart...]).trimmingCharacters(in: .newlines)
 
-        // Parse key-value pairs line by line
-        var dict: [String: String] = [:]
-        let lines = frontMatterBlock.components(separatedBy: .newlines)
-        for line in lines {
-            let trimmedLine = line.trimmingCharacters(in: .whitespaces)
-            guard !trimmedLine.isEmpty else { continue }
-            guard let colonIndex = trimmedLine.firstIndex(of: ":") else { continue }
-
-            let key = String(trimmedLine[trimmedLine.startIndex..<colonIndex])
-                .trimmingCharacters(in: .whitespaces)
-            let rawValue = String(trimmedLine[trimmedLine.index(after: colonIndex)...])
-                .trimmingCharacters(in: .whitespaces)
-
-            // Strip surrounding quotes
-            let value = stripQuotes(rawValue)
-            dict[key] = value
-        }
-
-        return (dict.isEmpty ? nil : dict, body)
+        let values = FrontMatterParser.parse(frontMatterBlock)
+        return (values.isEmpty ? nil : values, body)
     }
 
-    /// Strips surrounding double quotes and unescapes basic YAML escapes.
-    private func stripQuotes(_ value: String) -> String {
-        var s = value
-        if s.hasPrefix("\"") && s.hasSuffix("\"") && s.count >= 2 {
-            s = String(s.dropFirst().dropLast())
-            s = s.replacingOccurrences(of: "\\\"", with: "\"")
-            s = s.replacingOccurrences(of: "\\\\", with: "\\")
+    /// Reads tags from a YAML list (`["a", "b"]` or `- a` lines); a lone string is one tag.
+    private func tagNames(from value: FrontMatterValue) -> [String] {
+        switch value {
+        case .list(let items):
+            items.compactMap(\.stringValue).filter { !$0.isEmpty }
+        case .string(let tag):
+            tag.isEmpty ? [] : [tag]
+        case .map, .null:
+            []
         }
-        return s
     }
 
-    /// Parses a YAML inline array like `["tag1", "tag2"]` or `[tag1, tag2]`.
-    private func parseTagsArray(_ value: String) -> [String] {
-        var s = value.trimmingCharacters(in: .whitespaces)
-        if s.hasPrefix("[") && s.hasSuffix("]") {
-            s = String(s.dropFirst().dropLast())
+    // MARK: - Highlights
+
+    /// Builds highlights from DURA Clipper's `highlights` entries. Entries
+    /// whose range falls outside `body` are dropped; unknown colors become
+    /// yellow.
+    private func highlights(from entries: [FrontMatterValue], in body: String) -> [Highlight] {
+        let bodyLength = (body as NSString).length
+        let dateFormatter = ISO8601DateFormatter()
+        dateFormatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+
+        return entries.compactMap { entry in
+            guard let fields = entry.mapValue,
+                  let anchorText = fields["anchor_text"]?.stringValue, !anchorText.isEmpty,
+                  let rangeStart = fields["range_start"]?.stringValue.flatMap({ Int($0) }),
+                  let rangeLength = fields["range_length"]?.stringValue.flatMap({ Int($0) }),
+                  rangeStart >= 0, rangeLength > 0, rangeStart + rangeLength <= bodyLength
+            else { return nil }
+
+            let color = fields["color"]?.stringValue
+                .flatMap { HighlightColor(rawValue: $0) }
+                .flatMap { HighlightColor.userColors.contains($0) ? $0 : nil } ?? .yellow
+            let annotation = fields["annotation"]?.stringValue.flatMap { $0.isEmpty ? nil : $0 }
+            let createdAt = fields["created_at"]?.stringValue.flatMap { dateFormatter.date(from: $0) } ?? Date()
+
+            return Highlight(
+                id: fields["id"]?.stringValue.flatMap { UUID(uuidString: $0) } ?? UUID(),
+                anchorText: anchorText,
+                rangeStart: rangeStart,
+                rangeLength: rangeLength,
+                color: color,
+                annotation: annotation,
+                createdAt: createdAt
+            )
         }
-        guard !s.trimmingCharacters(in: .whitespaces).isEmpty else { return [] }
-        return s.components(separatedBy: ",")
-            .map { $0.trimmingCharacters(in: .whitespaces) }
-            .map { stripQuotes($0) }
-            .filter { !$0.isEmpty }
     }
 
     // MARK: - Title Extraction (fallback)
@@ -0,0 +1,179 @@
+#if os(macOS)
+import Foundation
+
+/// What the app tells DURA Clipper's native messaging host about one delivery.
+/// Written as `receipt.json` inside the delivery folder.
+struct NativeClipReceipt: Codable, Equatable, Sendable {
+    var ok: Bool
+    var noteId: String?
+    var title: String?
+    var error: String?
+}
+
+/// Imports clips handed over by DURA Clipper's native messaging host
+/// (`dura-clipper/native-host/`).
+///
+/// The host writes each clip into its own folder under `inboxURL`: the `.md`
+/// file plus an `assets/` folder for downloaded images. It creates the folder
+/// under a hidden name and renames it when complete, so a visible folder is
+/// always ready to import. The app imports the Markdown, then writes a
+/// `receipt.json` with the new note's ID, which the host relays back to the
+/// extension and then deletes the folder. A host that stopped waiting leaves
+/// the folder behind; the app removes it once the receipt has gone unread
+/// for `abandonedReceiptAge`.
+@MainActor
+final class NativeClipInbox {
+    private let dataService: DataService
+
+    private var source: DispatchSourceFileSystemObject?
+
+    /// Delivery folders currently being imported (to avoid double-import).
+    private var inflight: Set<String> = []
+
+    static let receiptFilename = "receipt.json"
+
+    /// Well past the host's 20 second wait for a receipt.
+    static let abandonedReceiptAge: TimeInterval = 5 * 60
+
+    /// `~/Library/Application Support/DURA/NativeClips`. The reference host
+    /// hard-codes the same path.
+    static var inboxURL: URL {
+        FileManager.default.homeDirectoryForCurrentUser
+            .appendingPathComponent("Library/Application Support/DURA/NativeClips")
+    }
+
+    init(dataService: DataService) {
+        self.dataService = dataService
+    }
+
+    // MARK: - Public API
+
+    func start() {
+        guard source == nil else { return }
+
+        let inboxURL = Self.inboxURL
+        try? FileManager.default.createDirectory(at: inboxURL, withIntermediateDirectories: true)
+
+        // Deliveries that arrived while the app wasn't running
+        scan()
+
+        let descriptor = open(inboxURL.path, O_EVTONLY)
+        guard descriptor >= 0 else { return }
+
+        let source = DispatchSource.makeFileSystemObjectSource(
+            fileDescriptor: descriptor,
+            eventMask: .write,
+            queue: .main
+        )
+        source.setEventHandler { [weak self] in
+            MainActor.assumeIsolated {
+                self?.scan()
+            }
+        }
+        source.setCancelHandler {
+            close(descriptor)
+        }
+        source.resume()
+        self.source = source
+    }
+
+    func stop() {
+        source?.cancel()
+        source = nil
+    }
+
+    // MARK: - Import
+
+    private func scan() {
+        guard let folders = try? FileManager.default.contentsOfDirectory(
+            at: Self.inboxURL,
+            includingPropertiesForKeys: [.isDirectoryKey],
+            options: [.skipsHiddenFiles]
+        ) else { return }
+
+        for folder in folders {
+            let isDirectory = (try? folder.resourceValues(forKeys: [.isDirectoryKey]).isDirectory) ?? false
+            let receiptURL = folder.appendingPathComponent(Self.receiptFilename)
+            guard isDirectory, !inflight.contains(folder.path) else { continue }
+
+            if FileManager.default.fileExists(atPath: receiptURL.path) {
+                if Self.isAbandoned(receiptURL) {
+                    try? FileManager.default.removeItem(at: folder)
+                }
+                continue
+            }
+
+            inflight.insert(folder.path)
+            Task {
+                let receipt = await importDelivery(at: folder)
+                Self.writeReceipt(receipt, to: receiptURL)
+                inflight.remove(folder.path)
+            }
+        }
+    }
+
+    /// Imports the Markdown file in a delivery folder, attaching assets from
+    /// the same folder. The file may sit in subfolders created by the
+    /// clipper's filename template, linking to the top-level `assets/`.
+    func importDelivery(at folder: URL) async -> NativeClipReceipt {
+        guard let markdownURL = Self.markdownFile(in: folder) else {
+            return NativeClipReceipt(ok: false, error: "The delivery contains no Markdown file.")
+        }
+
+        do {
+            let service = ImportService(dataService: dataService)
+            let note = try await service.importFile(at: markdownURL, assetRoot: folder)
+            try attachCitation(for: markdownURL, to: note)
+            return NativeClipReceipt(ok: true, noteId: note.id.uuidString, title: note.title)
+        } catch {
+            return NativeClipReceipt(ok: false, error: error.localizedDescription)
+        }
+    }
+
+    /// A paper clip's BibTeX entry arrives as a `.bib` file next to its
+    /// Markdown; it is kept with the note as an attachment.
+    private func attachCitation(for markdownURL: URL, to note: Note) throws {
+        let bibURL = markdownURL.deletingPathExtension().appendingPathExtension("bib")
+        guard let data = try? Data(contentsOf: bibURL) else { return }
+        dataService.createAttachment(
+            filename: bibURL.lastPathComponent,
+            data: data,
+            mimeType: "application/x-bibtex",
+            note: note
+        )
+        try dataService.save()
+    }
+
+    private static func markdownFile(in folder: URL) -> URL? {
+        guard let enumerator = FileManager.default.enumerator(
+            at: folder,
+            includingPropertiesForKeys: [.isDirectoryKey],
+            options: [.skipsHiddenFiles]
+        ) else { return nil }
+
+        for case let url as URL in enumerator {
+            let isDirectory = (try? url.resourceValues(forKeys: [.isDirectoryKey]).isDirectory) ?? false
+            if isDirectory {
+                if url.lastPathComponent == ClipFolderWatcher.assetsFolderName {
+                    enumerator.skipDescendants()
+                }
+            } else if url.pathExtension.lowercased() == "md" {
+                return url
+            }
+        }
+        return nil
+    }
+
+    private static func writeReceipt(_ receipt: NativeClipReceipt, to url: URL) {
+        guard let data = try? JSONEncoder().encode(receipt) else { return }
+        try? data.write(to: url, options: .atomic)
+    }
+
+    /// Whether a receipt is old enough that no host is waiting to read it.
+    static func isAbandoned(_ receiptURL: URL, now: Date = Date()) -> Bool {
+        guard let modified = (try? receiptURL.resourceValues(forKeys: [.contentModificationDateKey]))?
+            .contentModificationDate else { return false }
+        return now.timeIntervalSince(modified) > abandonedReceiptAge
+    }
+}
+#endif
@@ -8,6 +8,7 @@ struct ContentView: View {
     @State private var dataService: DataService?
     #if os(macOS)
     @State private var clipWatcher: ClipFolderWatcher?
+    @State private var nativeClipInbox: NativeClipInbox?
     @State private var podcastProcessor: PodcastClipProcessor?
     #endif
 
@@ -66,6 +67,9 @@ struct ContentView: View {
                 let watcher = ClipFolderWatcher(dataService: ds)
                 clipWatcher = watcher
                 watcher.startWatching()
+                let inbox = NativeClipInbox(dataService: ds)
+                nativeClipInbox = inbox
+                inbox.start()
                 podcastProcessor = PodcastClipProcessor(dataService: ds)
                 #endif
             }
@@ -73,6 +77,7 @@ struct ContentView: View {
         #if os(macOS)
         .onDisappear {
             clipWatcher?.stopWatching()
+            nativeClipInbox?.stop()
         }
         #endif
         #if os(macOS)
@@ -48,6 +48,56 @@ struct FrontMatterImportTests {
         #expect(result.body.contains("This is the body of the article."))
     }
 
+    @Test("Reads clip_id for matching re-clips")
+    func clipID() async throws {
+        let markdown = """
+        ---
+        title: "Clip"
+        clip_id: "6f1c2a9e-3d4b-4c8e-9a7f-2b5d8e1f0a3c"
+        ---
+
+        Body
+        """
+
+        let result = try await provider.process(data: Data(markdown.utf8), filename: "clip.md") { _ in }
+
+        #expect(result.clipID == "6f1c2a9e-3d4b-4c8e-9a7f-2b5d8e1f0a3c")
+    }
+
+    @Test("Builds highlights from the clipper's highlights block")
+    func highlights() async throws {
+        let markdown = """
+        ---
+        title: "Clip"
+        highlights:
+          - id: "0b0e7c1a-5d3f-4a8e-9c2b-7f1e6d4a3b21"
+            anchor_text: "quick brown"
+            range_start: 4
+            range_length: 11
+            color: "green"
+            annotation: "Nice phrase"
+            created_at: "2026-10-19T15:47:01.036Z"
+          - anchor_text: "out of range"
+            range_start: 400
+            range_length: 12
+            color: "yellow"
+        ---
+
+        The quick brown fox.
+        """
+
+        let result = try await provider.process(data: Data(markdown.utf8), filename: "clip.md") { _ in }
+
+        let highlights = try #require(result.highlights)
+        #expect(highlights.count == 1)
+        let highlight = highlights[0]
+        #expect(highlight.id.uuidString == "0B0E7C1A-5D3F-4A8E-9C2B-7F1E6D4A3B21")
+        #expect(highlight.color == .green)
+        #expect(highlight.annotation == "Nice phrase")
+        let range = NSRange(location: highlight.rangeStart, length: highlight.rangeLength)
+        #expect((result.body as NSString).substring(with: range) == "quick brown")
+    }
+
     // MARK: - Minimal Front Matter
 
     @Test("Parses front matter with minimal fields")
@@ -259,4 +309,76 @@ struct FrontMatterImportTests {
 
         #expect(result.title == "He said \"hello\"")
     }
+
+    // MARK: - Serializer Output
+
+    @Test("Reads block scalars, block lists and escapes written by the clipper")
+    func serializerOutput() async throws {
+        let markdown = """
+        ---
+        schema_version: 1
+        title: "Line one\\nLine\\ttwo \\x01"
+        url: "https://example.com/article"
+        tags:
+          - "swift"
+          - "a, b"
+        notebook: "Research"
+        excerpt: |-
+          First line: with a colon
+          Second line
+        ---
+
+        Body.
+        """
+
+        let data = markdown.data(using: .utf8)!
+        let result = try await provider.process(data: data, filename: "serialized.md") { _ in }
+
+        #expect(result.title == "Line one\nLine\ttwo \u{01}")
+        #expect(result.tagNames == ["swift", "a, b"])
+        #expect(result.notebookName == "Research")
+        #expect(result.excerpt == "First line: with a colon\nSecond line")
+        #expect(result.source == .markdown)
+    }
+
+    // MARK: - Local Assets
+
+    @Test("Collects relative image paths as assets, skipping remote URLs")
+    func localAssetPaths() async throws {
+        let markdown = """
+        ---
+        title: "Offline Clip"
+        featured_image: "assets/0967115f2813a354.png"
+        ---
+
+        ![Diagram](assets/6fd3de1d1830f319.png "Figure 1")
+
+        ![Remote](https://example.com/remote.png)
+
+        [![Linked](assets/6fd3de1d1830f319.png)](https://example.com)
+        """
+
+        let data = markdown.data(using: .utf8)!
+        let result = try await provider.process(data: data, filename: "offline.md") { _ in }
+
+        #expect(result.assetPaths == ["assets/6fd3de1d1830f319.png", "assets/0967115f2813a354.png"])
+        #expect(result.featuredImageURL == "assets/0967115f2813a354.png")
+    }
+
+    @Test("No local images leaves assetPaths nil")
+    func noLocalAssets() async throws {
+        let markdown = """
+        ---
+        title: "Remote Only"
+        featured_image: "https://example.com/image.jpg"
+        ---
+
+        ![Remote](https://example.com/remote.png)
+        """
+
+        let data = markdown.data(using: .utf8)!
+        let result = try await provider.process(data: data, filename: "remote.md") { _ in }
+
+        #expect(result.assetPaths == nil)
+    }
 }
@@ -0,0 +1,128 @@
+import Testing
+import Foundation
+@testable import DURA
+
+@Suite("Front Matter Parser")
+struct FrontMatterParserTests {
+
+    // MARK: - Scalars
+
+    @Test("Decodes double-quoted escapes")
+    func doubleQuotedEscapes() {
+        let values = FrontMatterParser.parse(#"""
+        title: "Tab\there\nnew \"quoted\" \\ \x01 é \L"
+        """#)
+
+        #expect(values["title"] == .string("Tab\there\nnew \"quoted\" \\ \u{01} é \u{2028}"))
+    }
+
+    @Test("Reads single-quoted and plain scalars")
+    func singleQuotedAndPlain() {
+        let values = FrontMatterParser.parse("""
+        a: 'it''s'
+        b: plain text # trailing comment
+        c: true
+        d: null
+        """)
+
+        #expect(values["a"] == .string("it's"))
+        #expect(values["b"] == .string("plain text"))
+        #expect(values["c"] == .string("true"))
+        #expect(values["d"] == .null)
+    }
+
+    // MARK: - Block Scalars
+
+    @Test("Literal block scalars honor chomping indicators")
+    func literalBlockScalars() {
+        let values = FrontMatterParser.parse("""
+        strip: |-
+          line one
+          line two: with colon
+
+          # not a comment
+        clip: |
+          single
+        keep: |+
+          kept
+
+
+        indented: |2-
+            leading space
+          second
+        next: "after"
+        """)
+
+        #expect(values["strip"] == .string("line one\nline two: with colon\n\n# not a comment"))
+        #expect(values["clip"] == .string("single\n"))
+        #expect(values["keep"] == .string("kept\n\n\n"))
+        #expect(values["indented"] == .string("  leading space\nsecond"))
+        #expect(values["next"] == .string("after"))
+    }
+
+    @Test("Folded block scalars join lines with spaces")
+    func foldedBlockScalar() {
+        let values = FrontMatterParser.parse("""
+        summary: >-
+          one
+          two
+
+          three
+        """)
+
+        #expect(values["summary"] == .string("one two\nthree"))
+    }
+
+    // MARK: - Collections
+
+    @Test("Parses nested maps and lists")
+    func nestedCollections() {
+        let values = FrontMatterParser.parse("""
+        tags:
+          - "swift"
+          - "b, c"
+        flow: ["x", 'y', z]
+        empty: []
+        authors:
+          - name: "Jane Doe"
+            urls:
+              - "https://example.com"
+          - name: "John Roe"
+        meta:
+          site:
+            name: "Example"
+        """)
+
+        #expect(values["tags"] == .list([.string("swift"), .string("b, c")]))
+        #expect(values["flow"] == .list([.string("x"), .string("y"), .string("z")]))
+        #expect(values["empty"] == .list([]))
+        #expect(values["authors"] == .list([
+            .map(["name": .string("Jane Doe"), "urls": .list([.string("https://example.com")])]),
+            .map(["name": .string("John Roe")]),
+        ]))
+        #expect(values["meta"]?.mapValue?["site"]?.mapValue?["name"] == .string("Example"))
+    }
+
+    @Test("Accepts a list at the key's own indentation")
+    func compactSequence() {
+        let values = FrontMatterParser.parse("""
+        tags:
+        - one
+        - two
+        title: "After"
+        """)
+
+        #expect(values["tags"] == .list([.string("one"), .string("two")]))
+        #expect(values["title"] == .string("After"))
+    }
+
+    @Test("Skips lines that are not key-value pairs")
+    func skipsGarbage() {
+        let values = FrontMatterParser.parse("""
+        just some text
+        title: "Kept"
+        """)
+
+        #expect(values == ["title": .string("Kept")])
+    }
+}
@@ -99,6 +99,157 @@ struct ImportServiceTests {
         #expect(note.noteKind == .article)
     }
 
+    @Test("Import clip attaches images from its assets folder")
+    @MainActor
+    func importClipAttachesAssets() async throws {
+        let ds = try makeService()
+        let importService = ImportService(dataService: ds)
+
+        let folder = FileManager.default.temporaryDirectory
+            .appendingPathComponent("clip-assets-\(UUID().uuidString)")
+        let assets = folder.appendingPathComponent("assets")
+        try FileManager.default.createDirectory(at: assets, withIntermediateDirectories: true)
+        defer { try? FileManager.default.removeItem(at: folder) }
+
+        let imageData = Data([0x89, 0x50, 0x4E, 0x47])
+        try imageData.write(to: assets.appendingPathComponent("abc123.png"))
+
+        let markdown = """
+        ---
+        title: "Clip With Images"
+        source: "web"
+        ---
+
+        ![Chart](assets/abc123.png)
+
+        ![Missing](assets/missing.png)
+        """
+        let mdURL = folder.appendingPathComponent("clip.md")
+        try markdown.write(to: mdURL, atomically: true, encoding: .utf8)
+
+        let note = try await importService.importFile(at: mdURL)
+
+        let attachments = note.attachments ?? []
+        #expect(attachments.count == 2)
+        let image = attachments.first { $0.filename == "abc123.png" }
+        #expect(image?.data == imageData)
+        #expect(image?.mimeType == "image/png")
+    }
+
+    @Test("Clip in a subfolder attaches assets within the asset root")
+    @MainActor
+    func importNestedClipAttachesSharedAssets() async throws {
+        let ds = try makeService()
+        let importService = ImportService(dataService: ds)
+
+        let folder = FileManager.default.temporaryDirectory
+            .appendingPathComponent("clip-assets-\(UUID().uuidString)")
+        let assets = folder.appendingPathComponent("assets")
+        let nested = folder.appendingPathComponent("2026/10")
+        try FileManager.default.createDirectory(at: assets, withIntermediateDirectories: true)
+        try FileManager.default.createDirectory(at: nested, withIntermediateDirectories: true)
+        defer { try? FileManager.default.removeItem(at: folder) }
+
+        try Data([0x89, 0x50, 0x4E, 0x47]).write(to: assets.appendingPathComponent("abc123.png"))
+
+        let markdown = """
+        ---
+        title: "Nested Clip"
+        ---
+
+        ![Chart](../../assets/abc123.png)
+        """
+        let mdURL = nested.appendingPathComponent("clip.md")
+        try markdown.write(to: mdURL, atomically: true, encoding: .utf8)
+
+        let withoutRoot = try await importService.importFile(at: mdURL)
+        #expect((withoutRoot.attachments ?? []).count == 1) // original file only
+
+        let withRoot = try await importService.importFile(at: mdURL, assetRoot: folder)
+        #expect((withRoot.attachments ?? []).contains { $0.filename == "abc123.png" })
+    }
+
+    @Test("Re-importing a clip with the same clip_id replaces the note")
+    @MainActor
+    func reimportClipReplacesNote() async throws {
+        let ds = try makeService()
+        let importService = ImportService(dataService: ds)
+
+        let folder = FileManager.default.temporaryDirectory
+            .appendingPathComponent("clip-update-\(UUID().uuidString)")
+        try FileManager.default.createDirectory(at: folder, withIntermediateDirectories: true)
+        defer { try? FileManager.default.removeItem(at: folder) }
+
+        func clip(title: String, tag: String, body: String) -> String {
+            """
+            ---
+            title: "\(title)"
+            clip_id: "clip-1"
+            source: "web"
+            tags:
+              - "\(tag)"
+            ---
+
+            \(body)
+            """
+        }
+
+        let firstURL = folder.appendingPathComponent("first.md")
+        try clip(title: "First", tag: "old", body: "Old body").write(to: firstURL, atomically: true, encoding: .utf8)
+        let first = try await importService.importFile(at: firstURL)
+        first.isFavorite = true
+
+        let secondURL = folder.appendingPathComponent("second.md")
+        try clip(title: "Second", tag: "new", body: "New body").write(to: secondURL, atomically: true, encoding: .utf8)
+        let second = try await importService.importFile(at: secondURL)
+
+        #expect(second.id == first.id)
+        #expect(try ds.fetchNotes().count == 1)
+        #expect(second.title == "Second")
+        #expect(second.body.contains("New body"))
+        #expect(second.tags?.map(\.name) == ["new"])
+        #expect((second.attachments ?? []).map(\.filename) == ["second.md"])
+        #expect(second.isFavorite)
+    }
+
+    @Test("Re-clipped highlights replace their earlier copies")
+    @MainActor
+    func reimportClipMergesHighlights() async throws {
+        let ds = try makeService()
+        let importService = ImportService(dataService: ds)
+
+        let folder = FileManager.default.temporaryDirectory
+            .appendingPathComponent("clip-highlights-\(UUID().uuidString)")
+        try FileManager.default.createDirectory(at: folder, withIntermediateDirectories: true)
+        defer { try? FileManager.default.removeItem(at: folder) }
+
+        let markdown = """
+        ---
+        title: "Clip"
+        clip_id: "clip-2"
+        highlights:
+          - id: "0b0e7c1a-5d3f-4a8e-9c2b-7f1e6d4a3b21"
+            anchor_text: "Highlighted"
+            range_start: 0
+            range_length: 11
+            color: "pink"
+            created_at: "2026-10-19T15:47:01.036Z"
+        ---
+
+        Highlighted text
+        """
+        let url = folder.appendingPathComponent("clip.md")
+        try markdown.write(to: url, atomically: true, encoding: .utf8)
+
+        let note = try await importService.importFile(at: url)
+        ds.addAnnotation(to: note, anchorText: "text", rangeStart: 12, rangeLength: 4, comment: "Mine")
+        _ = try await importService.importFile(at: url)
+
+        #expect(note.highlights.count == 2)
+        #expect(note.highlights.filter { $0.color == .pink }.count == 1)
+        #expect(note.highlights.contains { $0.annotation == "Mine" })
+    }
+
     @Test("Supported content types not empty")
     @MainActor
     func supportedContentTypesNotEmpty() throws {
@@ -0,0 +1,156 @@
+#if os(macOS)
+import Testing
+import SwiftData
+import Foundation
+@testable import DURA
+
+@Suite("NativeClipInbox")
+struct NativeClipInboxTests {
+
+    private func makeService() throws -> DataService {
+        let schema = Schema([Note.self, Notebook.self, Tag.self, Attachment.self, Bookmark.self])
+        let config = ModelConfiguration(isStoredInMemoryOnly: true)
+        let container = try ModelContainer(for: schema, configurations: [config])
+        let context = ModelContext(container)
+        return DataService(modelContext: context)
+    }
+
+    private func makeDeliveryFolder() throws -> URL {
+        let folder = FileManager.default.temporaryDirectory
+            .appendingPathComponent("native-clip-\(UUID().uuidString)")
+        try FileManager.default.createDirectory(
+            at: folder.appendingPathComponent("assets"),
+            withIntermediateDirectories: true
+        )
+        return folder
+    }
+
+    @Test("Delivery imports the clip and reports the note ID")
+    @MainActor
+    func importDeliveryReportsNoteID() async throws {
+        let ds = try makeService()
+        let inbox = NativeClipInbox(dataService: ds)
+        let folder = try makeDeliveryFolder()
+        defer { try? FileManager.default.removeItem(at: folder) }
+
+        try Data([0x89, 0x50, 0x4E, 0x47]).write(to: folder.appendingPathComponent("assets/abc123.png"))
+        let markdown = """
+        ---
+        title: "Native Clip"
+        url: "https://example.com/post"
+        source: "web"
+        ---
+
+        ![Chart](assets/abc123.png)
+        """
+        try markdown.write(
+            to: folder.appendingPathComponent("2026-10-19-native-clip.md"),
+            atomically: true,
+            encoding: .utf8
+        )
+
+        let receipt = await inbox.importDelivery(at: folder)
+
+        #expect(receipt.ok)
+        #expect(receipt.title == "Native Clip")
+        let notes = try ds.fetchNotes()
+        #expect(receipt.noteId == notes.first?.id.uuidString)
+        #expect((notes.first?.attachments ?? []).contains { $0.filename == "abc123.png" })
+    }
+
+    @Test("Delivery finds Markdown in template subfolders")
+    @MainActor
+    func importDeliveryFromSubfolder() async throws {
+        let ds = try makeService()
+        let inbox = NativeClipInbox(dataService: ds)
+        let folder = try makeDeliveryFolder()
+        defer { try? FileManager.default.removeItem(at: folder) }
+
+        try Data([0x89, 0x50, 0x4E, 0x47]).write(to: folder.appendingPathComponent("assets/def456.png"))
+        let nested = folder.appendingPathComponent("2026/10", isDirectory: true)
+        try FileManager.default.createDirectory(at: nested, withIntermediateDirectories: true)
+        let markdown = """
+        ---
+        title: "Nested Clip"
+        source: "web"
+        ---
+
+        ![Chart](../../assets/def456.png)
+        """
+        try markdown.write(
+            to: nested.appendingPathComponent("nested-clip.md"),
+            atomically: true,
+            encoding: .utf8
+        )
+
+        let receipt = await inbox.importDelivery(at: folder)
+
+        #expect(receipt.ok)
+        #expect(receipt.title == "Nested Clip")
+        let notes = try ds.fetchNotes()
+        #expect((notes.first?.attachments ?? []).contains { $0.filename == "def456.png" })
+    }
+
+    @Test("Delivery attaches the paper's BibTeX file")
+    @MainActor
+    func importDeliveryAttachesBibTeX() async throws {
+        let ds = try makeService()
+        let inbox = NativeClipInbox(dataService: ds)
+        let folder = try makeDeliveryFolder()
+        defer { try? FileManager.default.removeItem(at: folder) }
+
+        try "---\ntitle: \"Paper\"\ntype: \"paper\"\n---\n\nAbstract".write(
+            to: folder.appendingPathComponent("paper.md"),
+            atomically: true,
+            encoding: .utf8
+        )
+        try "@article{doe2023paper,\n  title = {{Paper}}\n}\n".write(
+            to: folder.appendingPathComponent("paper.bib"),
+            atomically: true,
+            encoding: .utf8
+        )
+
+        let receipt = await inbox.importDelivery(at: folder)
+
+        #expect(receipt.ok)
+        let bib = try ds.fetchNotes().first?.attachments?.first { $0.filename == "paper.bib" }
+        #expect(bib?.mimeType == "application/x-bibtex")
+    }
+
+    @Test("Delivery without Markdown reports an error")
+    @MainActor
+    func importDeliveryWithoutMarkdown() async throws {
+        let ds = try makeService()
+        let inbox = NativeClipInbox(dataService: ds)
+        let folder = try makeDeliveryFolder()
+        defer { try? FileManager.default.removeItem(at: folder) }
+
+        let receipt = await inbox.importDelivery(at: folder)
+
+        #expect(!receipt.ok)
+        #expect(receipt.noteId == nil)
+        #expect(receipt.error != nil)
+    }
+
+    @Test("Receipts nobody read for a while count as abandoned")
+    @MainActor
+    func abandonedReceipt() throws {
+        let folder = try makeDeliveryFolder()
+        defer { try? FileManager.default.removeItem(at: folder) }
+        let receiptURL = folder.appendingPathComponent(NativeClipInbox.receiptFilename)
+        try Data("{}".utf8).write(to: receiptURL)
+
+        #expect(!NativeClipInbox.isAbandoned(receiptURL))
+        #expect(NativeClipInbox.isAbandoned(receiptURL, now: Date().addingTimeInterval(10 * 60)))
+    }
+
+    @Test("Receipt encodes the keys the host reads")
+    func receiptEncoding() throws {
+        let receipt = NativeClipReceipt(ok: true, noteId: "ID", title: "T")
+        let data = try JSONEncoder().encode(receipt)
+        let object = try JSONSerialization.jsonObject(with: data) as? [String: Any]
+        #expect(object?["ok"] as? Bool == true)
+        #expect(object?["noteId"] as? String == "ID")
+    }
+}
+#endif
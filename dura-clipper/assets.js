@@ -0,0 +1,217 @@
+// DURA Clipper — Local Image Assets
+// Imported into the background service worker. Downloads the images a clip
+// references into an assets folder next to the .md file (or hands them to
+// the native host, see delivery.js) and rewrites the Markdown to point at
+// the relative paths, so DURA can show them offline.
+
+(function (global) {
+  "use strict";
+
+  const ASSETS_DIR = "assets";
+
+  // ![alt](url) or ![alt](url "title")
+  const IMAGE_PATTERN = /!\[([^\]]*)\]\((\S+?)(\s+"[^"]*")?\)/g;
+
+  const EXTENSIONS_BY_TYPE = {
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/gif": "gif",
+    "image/webp": "webp",
+    "image/svg+xml": "svg",
+    "image/avif": "avif",
+    "image/bmp": "bmp",
+    "image/tiff": "tiff",
+  };
+
+  // Asset paths (`<subfolder>/assets/<name>`) downloaded since the service
+  // worker started; covers downloads that haven't completed yet and so don't
+  // show up in a downloads search.
+  const downloadedPaths = new Set();
+
+  // Host access is an optional permission granted from the options page.
+  async function canFetchImages() {
+    try {
+      return await chrome.permissions.contains({ origins: ["<all_urls>"] });
+    } catch {
+      return false;
+    }
+  }
+
+  // Fetches every remote image in `bodyMarkdown` plus `featuredImage`.
+  // Returns a Map of URL → { name, type, base64 }, where `name` is the
+  // content-hash filename inside assets/. Images that fail are left out.
+  async function fetchImages(bodyMarkdown, featuredImage) {
+    const images = new Map();
+    if (!(await canFetchImages())) {
+      console.warn("DURA Clipper: image download needs host permission; keeping remote images");
+      return images;
+    }
+
+    const urls = new Set();
+    for (const match of (bodyMarkdown || "").matchAll(IMAGE_PATTERN)) {
+      if (isRemote(match[2])) urls.add(match[2]);
+    }
+    if (isRemote(featuredImage)) urls.add(featuredImage);
+
+    for (const url of urls) {
+      try {
+        images.set(url, await fetchImage(url));
+      } catch (e) {
+        console.warn("DURA Clipper: could not download image", url, e);
+      }
+    }
+    return images;
+  }
+
+  // Saves fetched images under `<subfolder>/assets/`. Identical images
+  // (within a clip or across clips) share one file, so a hash that has already
+  // been downloaded into this subfolder and still exists on disk is not
+  // downloaded again. Returns the subset of `images` that is on disk; an
+  // image whose download is interrupted is left out (keeping its remote URL)
+  // and tried again by the next clip that has it.
+  async function downloadImages(images, subfolder) {
+    const saved = new Map();
+    for (const [url, image] of images) {
+      const path = `${subfolder}/${ASSETS_DIR}/${image.name}`;
+      try {
+        if (!downloadedPaths.has(path) && !(await assetExists(path))) {
+          downloadedPaths.add(path);
+          const downloadId = await chrome.downloads.download({
+            url: `data:${image.type || "application/octet-stream"};base64,${image.base64}`,
+            filename: path,
+            conflictAction: "overwrite",
+            saveAs: false,
+          });
+          await downloadFinished(downloadId);
+        }
+        saved.set(url, image);
+      } catch (e) {
+        downloadedPaths.delete(path);
+        console.warn("DURA Clipper: could not save image", url, e);
+      }
+    }
+    return saved;
+  }
+
+  // Replaces the URLs of `images` with `<prefix>assets/<name>`.
+  function rewriteImages(bodyMarkdown, featuredImage, images, prefix) {
+    const pathFor = (url) => `${prefix}${ASSETS_DIR}/${images.get(url).name}`;
+    const result = {
+      bodyMarkdown: (bodyMarkdown || "").replace(
+        IMAGE_PATTERN,
+        (whole, alt, url, title) =>
+          images.has(url) ? `![${alt}](${pathFor(url)}${title || ""})` : whole
+      ),
+      featuredImage: featuredImage || "",
+    };
+    if (images.has(result.featuredImage)) {
+      result.featuredImage = pathFor(result.featuredImage);
+    }
+    return result;
+  }
+
+  // One "../" per folder `filename` sits below the download subfolder.
+  function relativePrefix(filename) {
+    return "../".repeat((filename || "").split("/").length - 1);
+  }
+
+  async function fetchImage(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const bytes = await response.arrayBuffer();
+    const hash = await sha256Hex(bytes);
+    const type = (response.headers.get("content-type") || "").split(";")[0].trim();
+    return {
+      name: `${hash.substring(0, 16)}.${extensionFor(type, url)}`,
+      type: type,
+      base64: toBase64(bytes),
+    };
+  }
+
+  // Resolves when the download completes; rejects if it is interrupted
+  // (disk full, folder not writable, ...).
+  function downloadFinished(downloadId) {
+    return new Promise((resolve, reject) => {
+      const settle = (state, error) => {
+        if (state === "complete") {
+          chrome.downloads.onChanged.removeListener(onChanged);
+          resolve();
+        } else if (state === "interrupted") {
+          chrome.downloads.onChanged.removeListener(onChanged);
+          reject(new Error(`Download interrupted: ${error || "unknown error"}`));
+        }
+      };
+      const onChanged = (delta) => {
+        if (delta.id === downloadId && delta.state) {
+          settle(delta.state.current, delta.error?.current);
+        }
+      };
+      chrome.downloads.onChanged.addListener(onChanged);
+
+      // It may have finished before the listener was added
+      chrome.downloads.search({ id: downloadId }).then(([item]) => {
+        if (item) settle(item.state, item.error);
+      });
+    });
+  }
+
+  // Whether `path` (relative to the downloads folder) was downloaded and is
+  // still on disk. Matched on the whole relative path, so an image saved under
+  // a previous download subfolder doesn't count.
+  async function assetExists(path) {
+    const escaped = path
+      .split("/")
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("[/\\\\]");
+    const items = await chrome.downloads.search({
+      filenameRegex: `[/\\\\]${escaped}$`,
+      exists: true,
+      state: "complete",
+    });
+    return items.length > 0;
+  }
+
+  async function sha256Hex(bytes) {
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  function extensionFor(contentType, url) {
+    if (EXTENSIONS_BY_TYPE[contentType]) {
+      return EXTENSIONS_BY_TYPE[contentType];
+    }
+    try {
+      const ext = new URL(url).pathname.split(".").pop().toLowerCase();
+      if (/^[a-z0-9]{2,5}$/.test(ext)) return ext;
+    } catch {
+      // Fall through to the default
+    }
+    return "img";
+  }
+
+  function toBase64(bytes) {
+    const view = new Uint8Array(bytes);
+    let binary = "";
+    for (let i = 0; i < view.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, view.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function isRemote(url) {
+    return /^https?:\/\//i.test(url || "");
+  }
+
+  global.DuraAssets = {
+    ASSETS_DIR,
+    fetchImages,
+    downloadImages,
+    downloadFinished,
+    rewriteImages,
+    relativePrefix,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
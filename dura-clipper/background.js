@@ -1,5 +1,40 @@
 // DURA Clipper — Background Service Worker
 
+importScripts(
+  "yaml.js",
+  "template.js",
+  "clip.js",
+  "assets.js",
+  "native.js",
+  "delivery.js",
+  "queue.js",
+  "history.js",
+  "collect.js"
+);
+
+const { ensureContentScript, extractDomain, resolveClipDefaults } = DuraClip;
+const { deliverClip, downloadMarkdown } = DuraDelivery;
+
+// Settings read for clips made without the popup (context menu, shortcuts)
+const QUICK_CLIP_SETTINGS = [
+  "defaultNotebook",
+  "includeFeaturedImage",
+  "clipRules",
+  "templates",
+  "followPages",
+  "pageLimit",
+];
+
+// Every time the service worker starts, retry clips that are due and
+// refresh the badge (it resets when the browser restarts)
+DuraQueue.processQueue();
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === DuraQueue.ALARM_NAME) {
+    DuraQueue.processQueue();
+  }
+});
+
 chrome.runtime.onInstalled.addListener(() => {
   // Create context menu items
   chrome.contextMenus.create({
@@ -14,6 +49,12 @@ chrome.runtime.onInstalled.addListener(() => {
     contexts: ["selection"],
   });
 
+  chrome.contextMenus.create({
+    id: "collect-selection",
+    title: "Add selection to DURA collection",
+    contexts: ["selection"],
+  });
+
   chrome.contextMenus.create({
     id: "save-link",
     title: "Save link to DURA",
@@ -26,6 +67,12 @@ chrome.runtime.onInstalled.addListener(() => {
     contexts: ["image"],
   });
 
+  chrome.contextMenus.create({
+    id: "clip-tabs",
+    title: "Clip all tabs to DURA",
+    contexts: ["page", "action"],
+  });
+
   // Set default options
   chrome.storage.sync.get(null, (items) => {
     const defaults = {
@@ -35,6 +82,10 @@ chrome.runtime.onInstalled.addListener(() => {
       defaultClipMode: "full",
       autoClose: true,
       includeFeaturedImage: false,
+      followPages: false,
+      pageLimit: 10,
+      downloadImages: false,
+      saveBibTeX: false,
       tagHistory: [],
     };
     const toSet = {};
@@ -53,218 +104,372 @@ chrome.runtime.onInstalled.addListener(() => {
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (!tab?.id) return;
 
-  const settings = await chrome.storage.sync.get([
-    "downloadSubfolder",
-    "defaultNotebook",
-  ]);
-  const subfolder = settings.downloadSubfolder || "DURA-Clips";
-  const notebook = settings.defaultNotebook || "Inbox";
-
-  switch (info.menuItemId) {
-    case "clip-page":
-      await clipFromContextMenu(tab, "full", subfolder, notebook);
-      break;
-    case "clip-selection":
-      await clipFromContextMenu(tab, "selection", subfolder, notebook);
-      break;
-    case "save-link":
-      await saveBookmarkFromLink(info, subfolder, notebook);
-      break;
-    case "save-image":
-      await saveImageNote(info, tab, subfolder, notebook);
-      break;
+  const settings = await chrome.storage.sync.get(QUICK_CLIP_SETTINGS);
+
+  // Site rules match the page being clipped — or, for links, the link target
+  const ruleUrl =
+    info.menuItemId === "save-link" ? info.linkUrl || "" : tab.url || "";
+  const defaults = resolveClipDefaults(settings, ruleUrl);
+
+  try {
+    switch (info.menuItemId) {
+      case "clip-page": {
+        // A rule may turn "Clip page" into a bookmark; other modes need the popup
+        const mode = defaults.mode === "bookmark" ? "bookmark" : "full";
+        const pageLimit = settings.followPages === true ? settings.pageLimit || 10 : 1;
+        await clipCurrentPage(tab, mode, defaults, pageLimit);
+        break;
+      }
+      case "clip-selection":
+        await clipCurrentPage(tab, "selection", defaults);
+        break;
+      case "collect-selection":
+        await collectFromPage(tab);
+        break;
+      case "save-link":
+        await saveBookmarkFromLink(info, defaults);
+        break;
+      case "save-image":
+        await saveImageNote(info, tab, defaults);
+        break;
+      case "clip-tabs": {
+        // Several highlighted tabs narrow it down to those
+        const highlighted = await chrome.tabs.query({ windowId: tab.windowId, highlighted: true });
+        const tabs =
+          highlighted.length > 1 ? highlighted : await chrome.tabs.query({ windowId: tab.windowId });
+        await clipTabs(tabs, null);
+        // The popup shows the report
+        chrome.action.openPopup?.().catch(() => {});
+        break;
+      }
+    }
+  } catch (e) {
+    console.error("DURA Clipper: context menu clip failed", e);
   }
 });
 
-async function clipFromContextMenu(tab, mode, subfolder, notebook) {
-  try {
-    const [response] = await chrome.tabs.sendMessage(tab.id, {
-      action: "extract",
-      mode: mode,
-    });
-    // response comes back directly (not wrapped)
-  } catch {
-    // Content script not loaded — inject it first
+// Clips the page in `tab` without the popup. Resolves to the delivery
+// result with the clip's title.
+async function clipCurrentPage(tab, mode, defaults, pageLimit = 1) {
+  await ensureContentScript(tab.id);
+
+  const response = await chrome.tabs.sendMessage(tab.id, {
+    action: "extract",
+    mode: mode,
+    pageLimit: pageLimit,
+  });
+
+  if (!response || !response.success) {
+    throw new Error(response?.error || "Could not read the page.");
   }
 
+  return { ...(await deliverClip(response, defaults)), title: response.title };
+}
+
+// Keyboard shortcuts (manifest `commands`, rebindable on the browser's
+// shortcuts page). The clipping ones save straight away with the page's
+// defaults and confirm with a toast in the page.
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === "open-with-tags") {
+    // The popup reads this once and focuses the tags field
+    await chrome.storage.session.set({ focusTags: true });
+    try {
+      await chrome.action.openPopup();
+    } catch (e) {
+      await chrome.storage.session.remove("focusTags");
+      console.error("DURA Clipper: could not open the popup", e);
+    }
+    return;
+  }
+
+  if (!tab?.id) return;
+
+  if (command === "collect-selection") {
+    await collectFromPage(tab);
+    return;
+  }
+
+  const settings = await chrome.storage.sync.get(QUICK_CLIP_SETTINGS);
+  const defaults = resolveClipDefaults(settings, tab.url || "");
+
   try {
-    const response = await chrome.tabs.sendMessage(tab.id, {
-      action: "extract",
-      mode: mode,
-    });
+    let result;
+    switch (command) {
+      case "clip-page": {
+        // Same as "Clip page" in the context menu
+        const mode = defaults.mode === "bookmark" ? "bookmark" : "full";
+        const pageLimit = settings.followPages === true ? settings.pageLimit || 10 : 1;
+        result = await clipCurrentPage(tab, mode, defaults, pageLimit);
+        break;
+      }
+      case "clip-selection":
+        result = await clipCurrentPage(tab, "selection", defaults);
+        break;
+      case "save-bookmark":
+        result = await clipCurrentPage(tab, "bookmark", defaults);
+        break;
+      default:
+        return;
+    }
 
-    if (!response || !response.success) return;
+    if (result.delivery === "queued") {
+      showToast(tab.id, "Couldn't save. Queued for retry.", result.error, "error");
+    } else {
+      let text = "Saved to Downloads";
+      if (result.delivery === "native") text = result.noteId ? "Added to DURA" : "Sent to DURA";
+      showToast(tab.id, text, `${result.title || "Untitled"} · ${defaults.notebook}`, "success");
+    }
+  } catch (e) {
+    console.error("DURA Clipper: shortcut clip failed", e);
+    showToast(tab.id, "Couldn't clip this page", e.message, "error");
+  }
+});
 
-    const markdown = buildMarkdown(response, notebook, []);
-    const filename = buildFilename(response.title);
-    downloadMarkdown(markdown, filename, subfolder);
+// Adds the page's selection to the tab's collection (collect.js). The popup
+// and side panel show the collection for commenting and saving.
+async function collectFromPage(tab) {
+  try {
+    await ensureContentScript(tab.id);
+    const collected = await chrome.tabs.sendMessage(tab.id, { action: "collectSelection" });
+    if (!collected || !collected.success) {
+      throw new Error(collected?.error || "Could not read the selection.");
+    }
+    const before = (await DuraCollect.get(tab.id))?.snippets.length || 0;
+    const collection = await DuraCollect.addSnippets(tab.id, collected);
+    const count = collection.snippets.length;
+    if (count === before) throw new Error("That selection is already in the collection.");
+    showToast(
+      tab.id,
+      "Added to the collection",
+      `${count} ${count === 1 ? "snippet" : "snippets"} · open DURA Clipper to comment and save`,
+      "success"
+    );
   } catch (e) {
-    console.error("DURA Clipper: context menu clip failed", e);
+    console.error("DURA Clipper: collecting the selection failed", e);
+    showToast(tab.id, "Couldn't add the selection", e.message, "error");
   }
 }
 
-async function saveBookmarkFromLink(info, subfolder, notebook) {
+// Pages the content script can't run in get no toast
+function showToast(tabId, text, detail, kind) {
+  chrome.tabs
+    .sendMessage(tabId, { action: "showToast", text: text, detail: detail, kind: kind })
+    .catch(() => {});
+}
+
+async function saveBookmarkFromLink(info, defaults) {
   const url = info.linkUrl || "";
-  const title = info.selectionText || extractDomain(url);
-  const markdown = buildMarkdown(
+  await deliverClip(
     {
       mode: "bookmark",
-      title: title,
+      title: info.selectionText || extractDomain(url),
       url: url,
       author: "",
       excerpt: "",
       featuredImage: "",
-      bodyHTML: "",
+      bodyMarkdown: "",
     },
-    notebook,
-    []
+    { ...defaults, includeFeaturedImage: false }
   );
-  const filename = buildFilename(title);
-  downloadMarkdown(markdown, filename, subfolder);
 }
 
-async function saveImageNote(info, tab, subfolder, notebook) {
-  const imageUrl = info.srcUrl || "";
+async function saveImageNote(info, tab, defaults) {
   const pageUrl = tab.url || "";
-  const title = "Image from " + extractDomain(pageUrl);
-  const now = new Date().toISOString();
-
-  const frontMatter = [
-    "---",
-    `title: "${escapeYaml(title)}"`,
-    `url: "${escapeYaml(pageUrl)}"`,
-    `clipped_at: "${now}"`,
-    `source: "web"`,
-    `type: "image"`,
-    `tags: []`,
-    `notebook: "${escapeYaml(notebook)}"`,
-    `featured_image: "${escapeYaml(imageUrl)}"`,
-    "---",
-    "",
-    `# ${title}`,
-    "",
-    `> Clipped from [${extractDomain(pageUrl)}](${pageUrl})`,
-    "",
-    `![Image](${imageUrl})`,
-    "",
-  ].join("\n");
-
-  const filename = buildFilename(title);
-  downloadMarkdown(frontMatter, filename, subfolder);
+  const imageUrl = info.srcUrl || "";
+  await deliverClip(
+    {
+      mode: "image",
+      title: "Image from " + extractDomain(pageUrl),
+      url: pageUrl,
+      author: "",
+      excerpt: "",
+      featuredImage: imageUrl,
+      bodyMarkdown: `![Image](${imageUrl})`,
+    },
+    { ...defaults, includeFeaturedImage: false }
+  );
 }
 
-// Shared Markdown builder used by both popup (via message) and context menus
-function buildMarkdown(extracted, notebook, tags) {
-  const now = new Date().toISOString();
-  const title = extracted.title || "Untitled";
-  const url = extracted.url || "";
-  const author = extracted.author || "";
-  const excerpt =
-    extracted.excerpt || (extracted.bodyHTML || "").substring(0, 160).trim();
-  const type = extracted.mode === "bookmark" ? "bookmark" : "article";
-  const featuredImage = extracted.featuredImage || "";
-
-  const frontMatter = [
-    "---",
-    `title: "${escapeYaml(title)}"`,
-    `url: "${escapeYaml(url)}"`,
-    `author: "${escapeYaml(author)}"`,
-    `clipped_at: "${now}"`,
-    `source: "web"`,
-    `type: "${type}"`,
-    `tags: [${tags.map((t) => `"${escapeYaml(t)}"`).join(", ")}]`,
-    `notebook: "${escapeYaml(notebook)}"`,
-    `excerpt: "${escapeYaml(excerpt.substring(0, 160))}"`,
-    `featured_image: "${escapeYaml(featuredImage)}"`,
-  ];
-
-  if (extracted.readabilityFailed) {
-    frontMatter.push(`readability_failed: true`);
+// Clips several tabs one after another. `overrides` ({ mode, notebook,
+// tags }) come from the popup and apply to every tab; when null, each tab
+// gets the defaults and site rules for its own URL. Progress goes to the
+// popup as it happens, and the report is kept as `lastBatch` for the popup
+// to show when it next opens.
+async function clipTabs(tabs, overrides) {
+  const settings = await chrome.storage.sync.get([
+    "defaultNotebook",
+    "defaultClipMode",
+    "includeFeaturedImage",
+    "clipRules",
+    "templates",
+    "followPages",
+    "pageLimit",
+  ]);
+
+  const results = [];
+  for (const tab of tabs) {
+    notifyPopup({ action: "batchProgress", done: results.length, total: tabs.length });
+    results.push(await clipTab(tab, settings, overrides));
   }
 
-  frontMatter.push("---");
-  frontMatter.push("");
+  const report = { finishedAt: new Date().toISOString(), results: results, seen: false };
+  await chrome.storage.local.set({ lastBatch: report });
+  notifyPopup({ action: "batchDone" });
+  return report;
+}
 
-  const lines = [...frontMatter];
-  lines.push(`# ${title}`);
-  lines.push("");
+// One tab of a batch. Never rejects: the result's `status` is "saved",
+// "queued" (delivery failed; it's in the retry queue) or "failed".
+async function clipTab(tab, settings, overrides) {
+  const result = { title: tab.title || tab.url || "Untitled", url: tab.url || "" };
+  try {
+    if (!/^(https?|file):/.test(result.url) || result.url.endsWith(".pdf")) {
+      throw new Error("This kind of page can't be clipped.");
+    }
+
+    const defaults = resolveClipDefaults(settings, result.url);
+    const mode = (overrides ? overrides.mode : defaults.mode) === "bookmark" ? "bookmark" : "full";
+    const options = {
+      notebook: overrides ? overrides.notebook : defaults.notebook,
+      tags: overrides ? overrides.tags : defaults.tags,
+      includeFeaturedImage: defaults.includeFeaturedImage,
+    };
 
-  if (url) {
-    const domain = extractDomain(url);
-    const dateStr = new Date().toLocaleDateString("en-US", {
-      year: "numeric",
-      month: "long",
-      day: "numeric",
+    // Tabs the browser unloaded to save memory have no page to read
+    if (tab.discarded) {
+      await chrome.tabs.reload(tab.id);
+      await tabLoaded(tab.id);
+    }
+    await ensureContentScript(tab.id);
+
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: "extract",
+      mode: mode,
+      pageLimit: settings.followPages === true ? settings.pageLimit || 10 : 1,
     });
-    lines.push(`> Clipped from [${domain}](${url}) on ${dateStr}`);
-    lines.push("");
-  }
+    if (!response || !response.success) {
+      throw new Error(response?.error || "Could not read the page.");
+    }
 
-  if (type !== "bookmark" && extracted.bodyHTML) {
-    // Convert HTML to Markdown using Turndown (loaded in popup context)
-    // For background context menu clips, we pass through HTML and let popup handle it
-    // Actually, we'll include a note that body conversion happens in the message handler
-    lines.push(extracted.bodyMarkdown || extracted.bodyHTML);
+    const delivered = await deliverClip(response, options);
+    result.title = response.title || result.title;
+    result.status = delivered.delivery === "queued" ? "queued" : "saved";
+    if (delivered.error) result.error = delivered.error;
+  } catch (e) {
+    result.status = "failed";
+    result.error = e.message;
   }
-
-  return lines.join("\n");
+  return result;
 }
 
-function buildFilename(title) {
-  const date = new Date().toISOString().split("T")[0]; // YYYY-MM-DD
-  const slug = slugify(title).substring(0, 60);
-  return `${date}-${slug}.md`;
+// Messages for the popup, which may well be closed
+function notifyPopup(message) {
+  chrome.runtime.sendMessage(message).catch(() => {});
 }
 
-function slugify(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, "")
-    .replace(/[\s_]+/g, "-")
-    .replace(/^-+|-+$/g, "")
-    .replace(/-{2,}/g, "-");
+// Downloads a past clip again, exactly as it was saved.
+async function redownloadFromHistory(id) {
+  const entry = await DuraHistory.getEntry(id);
+  const markdown = entry && (await DuraHistory.getContent(id));
+  if (!markdown) throw new Error("This clip is no longer in the history.");
+
+  const { downloadSubfolder } = await chrome.storage.sync.get("downloadSubfolder");
+  await downloadMarkdown(markdown, entry.filename, downloadSubfolder || "DURA-Clips");
 }
 
-function extractDomain(url) {
+// Clips the current version of a past clip's page with the same notebook
+// and tags. The page loads in a background tab that is closed afterwards.
+// `changed` tells whether the body differs from the earlier clip.
+async function reclipFromHistory(id) {
+  const entry = await DuraHistory.getEntry(id);
+  if (!entry || !entry.url) throw new Error("This clip has no source page.");
+
+  const tab = await chrome.tabs.create({ url: entry.url, active: false });
   try {
-    return new URL(url).hostname.replace(/^www\./, "");
-  } catch {
-    return url;
-  }
-}
+    await tabLoaded(tab.id);
+    await ensureContentScript(tab.id);
 
-function escapeYaml(str) {
-  return (str || "").replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+    // Selections and picked elements can't be reproduced; clip the article
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: "extract",
+      mode: entry.mode === "bookmark" ? "bookmark" : "full",
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || "Could not read the page.");
+    }
+
+    // Same clip_id, so DURA updates the note from the earlier clip
+    const result = await deliverClip({ ...response, clipId: entry.clipId }, {
+      notebook: entry.notebook,
+      tags: entry.tags,
+      includeFeaturedImage: entry.includeFeaturedImage || false,
+    });
+    const hash = await DuraHistory.contentHash(response.bodyMarkdown || "");
+    return { ...result, changed: hash !== entry.contentHash };
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
 }
 
-function downloadMarkdown(content, filename, subfolder) {
-  // Manifest V3 service workers don't support Blob/URL.createObjectURL.
-  // Use a data URI instead.
-  const base64 = btoa(unescape(encodeURIComponent(content)));
-  const dataUrl = "data:text/markdown;base64," + base64;
+// A tab's collection goes with it
+chrome.tabs.onRemoved.addListener((tabId) => {
+  DuraCollect.discard(tabId);
+});
 
-  chrome.downloads.download(
-    {
-      url: dataUrl,
-      filename: `${subfolder}/${filename}`,
-      saveAs: false,
-    },
-    (_downloadId) => {
-      if (chrome.runtime.lastError) {
-        console.error("DURA Clipper download error:", chrome.runtime.lastError);
+function tabLoaded(tabId) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      reject(new Error("The page took too long to load."));
+    }, 30000);
+    const onUpdated = (updatedId, changeInfo) => {
+      if (updatedId === tabId && changeInfo.status === "complete") {
+        clearTimeout(timeout);
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        resolve();
       }
-    }
-  );
+    };
+    chrome.tabs.onUpdated.addListener(onUpdated);
+  });
 }
 
-// Listen for messages from popup to trigger downloads
+// Listen for messages from the popup and content scripts
 chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
-  if (request.action === "download") {
-    downloadMarkdown(
-      request.content,
-      request.filename,
-      request.subfolder || "DURA-Clips"
-    );
+  if (request.action === "saveClip") {
+    deliverClip(request.clip, {
+      notebook: request.notebook,
+      tags: request.tags,
+      includeFeaturedImage: request.includeFeaturedImage,
+    })
+      .then((result) => sendResponse({ success: true, ...result }))
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+  } else if (request.action === "retryQueued") {
+    // "Retry" in the queue page: try these entries now, ignoring backoff
+    DuraQueue.processQueue(request.ids)
+      .then(() => sendResponse({ success: true }))
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+  } else if (request.action === "discardQueued") {
+    DuraQueue.discard(request.id)
+      .then(() => sendResponse({ success: true }))
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+  } else if (request.action === "redownloadClip") {
+    redownloadFromHistory(request.id)
+      .then(() => sendResponse({ success: true }))
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+  } else if (request.action === "reclip") {
+    reclipFromHistory(request.id)
+      .then((result) => sendResponse({ success: true, ...result }))
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+  } else if (request.action === "clipTabs") {
+    Promise.all(request.tabIds.map((id) => chrome.tabs.get(id)))
+      .then((tabs) => clipTabs(tabs, request.overrides || null))
+      .then((report) => sendResponse({ success: true, report: report }))
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+  } else if (request.action === "pickerDone") {
+    // Reopen the popup so the picked elements can be previewed and saved.
+    // openPopup() is unavailable on older Chrome; the picked elements stay
+    // in the page until the user clicks the action icon.
+    chrome.action.openPopup?.().catch(() => {});
     sendResponse({ success: true });
   }
   return true;
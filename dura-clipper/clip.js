@@ -0,0 +1,415 @@
+// DURA Clipper — Shared Clip Helpers
+// Loaded by popup.html and imported into the background service worker so
+// every save path builds the same Markdown file from an extraction result.
+// Requires yaml.js and template.js to be loaded first.
+
+(function (global) {
+  "use strict";
+
+  // Bump when the front matter layout changes in a way DURA must know about.
+  const FRONT_MATTER_SCHEMA_VERSION = 1;
+
+  // Templates used until the user edits them in the options page. These
+  // reproduce the clipper's original fixed layout.
+  const DEFAULT_TEMPLATES = {
+    filename: "{{date:YYYY-MM-DD}}-{{slug}}",
+    heading: "# {{title}}",
+    attribution: "> Clipped from [{{domain}}]({{url}}) on {{date:MMMM D, YYYY}}",
+    frontMatter: "",
+  };
+
+  // Scripts injected into a page for extraction, in load order.
+  const CONTENT_SCRIPT_FILES = [
+    "lib/readability.js",
+    "lib/turndown.js",
+    "lib/turndown-plugin-gfm.js",
+    "markdown.js",
+    "metadata.js",
+    "picker.js",
+    "highlighter.js",
+    "toast.js",
+    "extractors.js",
+    "extractors/youtube.js",
+    "extractors/threads.js",
+    "extractors/github.js",
+    "extractors/papers.js",
+    "pagination.js",
+    "content.js",
+  ];
+
+  // Ensure content script is injected, then send a message.
+  // If the content script isn't loaded yet, inject it programmatically.
+  async function ensureContentScript(tabId) {
+    try {
+      // Ping the content script to see if it's alive
+      await chrome.tabs.sendMessage(tabId, { action: "checkSelection" });
+    } catch {
+      // Content script not loaded — inject it now
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        files: CONTENT_SCRIPT_FILES,
+      });
+      // Brief delay for scripts to initialize
+      await new Promise((r) => setTimeout(r, 100));
+    }
+  }
+
+  // Builds the .md file for an extraction result. `templates` are the
+  // user's templates (see resolveTemplates); missing ones use the defaults.
+  function buildMarkdownFile(
+    extracted,
+    bodyMarkdown,
+    notebook,
+    tags,
+    includeFeaturedImage,
+    templates
+  ) {
+    const now = clipDate(extracted);
+    const vars = templateVars(extracted, notebook, tags, now);
+    const { heading, attribution, frontMatter: fieldTemplates } =
+      resolveTemplates(templates);
+
+    const title = vars.title;
+    const url = vars.url;
+    const type = vars.type;
+    const excerpt =
+      extracted.excerpt ||
+      (type === "article" ? bodyMarkdown.substring(0, 160).trim() : "");
+    const featuredImage = extracted.featuredImage || "";
+
+    const frontMatter = {};
+    // Stable across re-clips that update the same note (see deliverClip)
+    if (extracted.clipId) frontMatter.clip_id = extracted.clipId;
+    Object.assign(frontMatter, {
+      title: title,
+      url: url,
+      author: vars.author,
+      clipped_at: now.toISOString(),
+      source: "web",
+      type: type,
+      tags: tags,
+      notebook: notebook,
+      excerpt: excerpt.substring(0, 160),
+      featured_image: featuredImage,
+    });
+
+    // Richer page metadata, only written when the page provides it
+    const optional = {
+      published_at: extracted.publishedAt,
+      modified_at: extracted.modifiedAt,
+      site_name: extracted.siteName,
+      language: extracted.language,
+      section: extracted.section,
+    };
+    for (const [key, value] of Object.entries(optional)) {
+      if (value) frontMatter[key] = value;
+    }
+    if (extracted.authors && extracted.authors.length > 0) {
+      frontMatter.authors = extracted.authors;
+    }
+
+    // Keys from a site extractor (e.g. a video's channel and duration)
+    for (const [key, value] of Object.entries(extracted.siteMetadata || {})) {
+      if (!(key in frontMatter) && key !== "schema_version" && value !== "") {
+        frontMatter[key] = value;
+      }
+    }
+
+    if (extracted.readabilityFailed) {
+      frontMatter.readability_failed = true;
+    }
+    if (extracted.pageCount > 1) {
+      frontMatter.page_count = extracted.pageCount;
+    }
+
+    // Everything after the front matter is what DURA stores as the note body
+    const body = [];
+
+    const headingLine = DuraTemplate.render(heading, vars).trim();
+    if (headingLine) {
+      body.push(headingLine);
+      body.push("");
+    }
+
+    if (url) {
+      const attributionLine = DuraTemplate.render(attribution, vars).trim();
+      if (attributionLine) {
+        body.push(attributionLine);
+        body.push("");
+      }
+    }
+
+    if (
+      includeFeaturedImage &&
+      featuredImage &&
+      (type === "article" || type === "video")
+    ) {
+      body.push(`![Featured Image](${featuredImage})`);
+      body.push("");
+    }
+
+    if (type !== "bookmark" && bodyMarkdown) {
+      const bodyStart = body.length > 0 ? body.join("\n").length + 1 : 0;
+      const highlights = placeHighlights(extracted.highlights, bodyMarkdown, bodyStart);
+      if (highlights.length > 0) {
+        frontMatter.highlights = highlights;
+      }
+      body.push(bodyMarkdown);
+    }
+
+    // Custom keys add to the front matter; DURA's own keys can't be replaced
+    for (const field of DuraTemplate.parseFieldTemplates(fieldTemplates)) {
+      if (!(field.key in frontMatter) && field.key !== "schema_version") {
+        frontMatter[field.key] = DuraTemplate.render(field.template, vars);
+      }
+    }
+
+    const lines = [buildFrontMatter(frontMatter), "", ...body];
+    return lines.join("\n") + "\n";
+  }
+
+  // Front matter entries for the page's highlights (see highlighter.js), with
+  // offsets into the note body DURA stores. The Markdown may have been edited
+  // in the preview since extraction, so each highlight is looked up by its
+  // text, nearest its original position; ones whose text is gone are dropped.
+  function placeHighlights(highlights, bodyMarkdown, bodyStart) {
+    // DURA trims blank lines from the start of the body
+    const leading = bodyStart === 0 ? bodyMarkdown.match(/^\n*/)[0].length : 0;
+    const placed = [];
+    for (const highlight of highlights || []) {
+      const start = nearestOccurrence(bodyMarkdown, highlight.text, highlight.start);
+      if (start === -1) continue;
+      placed.push({
+        id: highlight.id,
+        anchor_text: highlight.text,
+        range_start: bodyStart + start - leading,
+        range_length: highlight.text.length,
+        color: highlight.color,
+        annotation: highlight.note || "",
+        created_at: highlight.createdAt,
+      });
+    }
+    return placed.sort((a, b) => a.range_start - b.range_start);
+  }
+
+  function nearestOccurrence(text, search, near) {
+    if (!search) return -1;
+    let best = -1;
+    for (let at = text.indexOf(search); at !== -1; at = text.indexOf(search, at + 1)) {
+      if (best === -1 || Math.abs(at - near) < Math.abs(best - near)) best = at;
+    }
+    return best;
+  }
+
+  // When the clip was taken. `clippedAt` is set on clips that are delivered
+  // later (e.g. retried from the queue) so they keep their original date.
+  function clipDate(extracted) {
+    const date = extracted.clippedAt ? new Date(extracted.clippedAt) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : new Date();
+  }
+
+  // Variables available to every template.
+  function templateVars(extracted, notebook, tags, now) {
+    const title = (extracted.title || "Untitled").replace(/\s+/g, " ").trim();
+    const url = extracted.url || "";
+    const published = extracted.publishedAt ? new Date(extracted.publishedAt) : null;
+    let type = extracted.type || "article";
+    if (extracted.mode === "bookmark") type = "bookmark";
+    if (extracted.mode === "image") type = "image";
+
+    return {
+      title: title,
+      slug: slugify(title).substring(0, 60) || "untitled",
+      url: url,
+      domain: url ? extractDomain(url) : "",
+      author: extracted.author || "",
+      site_name: extracted.siteName || "",
+      notebook: notebook || "",
+      tags: tags || [],
+      type: type,
+      date: now,
+      published: published && !Number.isNaN(published.getTime()) ? published : "",
+    };
+  }
+
+  // The user's stored templates with blank entries replaced by the defaults.
+  // An empty front matter template is valid and means "no custom keys".
+  function resolveTemplates(templates) {
+    const resolved = { ...DEFAULT_TEMPLATES };
+    for (const key of ["filename", "heading", "attribution"]) {
+      if (templates && templates[key] && templates[key].trim()) {
+        resolved[key] = templates[key];
+      }
+    }
+    if (templates && typeof templates.frontMatter === "string") {
+      resolved.frontMatter = templates.frontMatter;
+    }
+    return resolved;
+  }
+
+  // Serializes `fields` as a front matter block, delimiters included.
+  // schema_version lets DURA tell which clipper release wrote the file.
+  function buildFrontMatter(fields) {
+    const yaml = DuraYaml.stringify({
+      schema_version: FRONT_MATTER_SCHEMA_VERSION,
+      ...fields,
+    });
+    return `---\n${yaml}\n---`;
+  }
+
+  // Clip defaults for `url`: the stored settings, overridden by the first
+  // matching site rule. `rule` is the rule that fired, or null.
+  function resolveClipDefaults(settings, url) {
+    const rule = findClipRule(settings.clipRules, url);
+    const defaults = {
+      notebook: settings.defaultNotebook || "Inbox",
+      tags: [],
+      mode: settings.defaultClipMode || "full",
+      includeFeaturedImage: settings.includeFeaturedImage || false,
+      templates: resolveTemplates(settings.templates),
+      rule: rule,
+    };
+    if (!rule) return defaults;
+
+    if (rule.notebook) defaults.notebook = rule.notebook;
+    if (rule.tags && rule.tags.length > 0) defaults.tags = [...rule.tags];
+    if (rule.mode) defaults.mode = rule.mode;
+    if (typeof rule.includeFeaturedImage === "boolean") {
+      defaults.includeFeaturedImage = rule.includeFeaturedImage;
+    }
+    return defaults;
+  }
+
+  // First rule in `rules` whose pattern matches `url`, or null.
+  function findClipRule(rules, url) {
+    return (rules || []).find((rule) => ruleMatches(rule.pattern, url)) || null;
+  }
+
+  // A bare domain ("arxiv.org") matches that host and its subdomains. A
+  // pattern with a path or `*` wildcards ("github.com/*/issues/*") is matched
+  // against host + path of the URL. "www." is ignored on both sides.
+  function ruleMatches(pattern, url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+    const host = parsed.hostname.replace(/^www\./, "").toLowerCase();
+    const normalized = (pattern || "")
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, "")
+      .replace(/^www\./, "");
+    if (!normalized) return false;
+
+    if (!normalized.includes("/") && !normalized.includes("*")) {
+      return host === normalized || host.endsWith("." + normalized);
+    }
+
+    const target = host + parsed.pathname.toLowerCase() + parsed.search.toLowerCase();
+    const regex = new RegExp(
+      "^" +
+        normalized
+          .split("*")
+          .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join(".*") +
+        // A pattern without a trailing wildcard still matches deeper paths
+        (normalized.endsWith("*") ? "$" : "(?:[/?#].*)?$")
+    );
+    return regex.test(target);
+  }
+
+  // Path of the .md file relative to the download subfolder, rendered from
+  // the filename template. "/" in the template (including a date format such
+  // as `{{date:YYYY/MM}}`) creates subfolders; text values substituted into
+  // it can't, and nothing can climb out with "..".
+  function buildFilename(extracted, notebook, tags, templates) {
+    const vars = templateVars(extracted, notebook, tags, clipDate(extracted));
+    const rendered = DuraTemplate.render(
+      resolveTemplates(templates).filename,
+      vars,
+      (text, value) => (value instanceof Date ? text : text.replace(/[/\\]/g, "-"))
+    );
+
+    const segments = rendered
+      .split(/[/\\]/)
+      .map(sanitizePathSegment)
+      .filter((segment) => segment && segment !== "." && segment !== "..");
+    let path = segments.join("/") || `${vars.slug}`;
+    if (!/\.md$/i.test(path)) path += ".md";
+    return path;
+  }
+
+  // Strips characters Chrome's downloads API or common filesystems reject.
+  function sanitizePathSegment(segment) {
+    return segment
+      .replace(/[<>:"|?*\u0000-\u001f]/g, "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .replace(/^\.+(?=[^.])|[. ]+$/g, "")
+      .substring(0, 120);
+  }
+
+  function slugify(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^\w\s-]/g, "")
+      .replace(/[\s_]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .replace(/-{2,}/g, "-");
+  }
+
+  // Query parameters that only track where a visitor came from
+  const TRACKING_PARAMS = [
+    /^utm_/,
+    /^(fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|mkt_tok)$/,
+    /^(_hsenc|_hsmi|_ga|_gl|oly_anon_id|oly_enc_id|vero_id|wickedid|rb_clickid)$/,
+    /^(ref|ref_src|ref_url|si|spm|s_cid|cmpid)$/,
+  ];
+
+  // The URL with tracking parameters, the fragment, "www.", default ports and
+  // a trailing slash removed, and the remaining parameters sorted, so the
+  // same page reached through different links compares equal.
+  function canonicalUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return url || "";
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return parsed.href;
+
+    const params = [...parsed.searchParams]
+      .filter(([key]) => !TRACKING_PARAMS.some((pattern) => pattern.test(key.toLowerCase())))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const query = new URLSearchParams(params).toString();
+    const host = parsed.host.replace(/^www\./, "");
+    const path = parsed.pathname.replace(/\/+$/, "");
+
+    return `${parsed.protocol}//${host}${path}${query ? "?" + query : ""}`;
+  }
+
+  function extractDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+      return url;
+    }
+  }
+
+  global.DuraClip = {
+    CONTENT_SCRIPT_FILES,
+    DEFAULT_TEMPLATES,
+    ensureContentScript,
+    buildMarkdownFile,
+    buildFilename,
+    resolveTemplates,
+    slugify,
+    canonicalUrl,
+    extractDomain,
+    buildFrontMatter,
+    resolveClipDefaults,
+    findClipRule,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
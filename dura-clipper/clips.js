@@ -0,0 +1,161 @@
+// DURA Clipper — Clip History Page Script
+// Searches the clip history (history.js) and offers, per clip: download the
+// saved file again, open the source page, or re-clip the page as it is now.
+
+(async function () {
+  "use strict";
+
+  const searchInput = document.getElementById("search");
+  const resultCountEl = document.getElementById("result-count");
+  const listEl = document.getElementById("clip-list");
+  const emptyEl = document.getElementById("empty-state");
+
+  let history = [];
+  // Per-entry state that has to survive re-rendering
+  const statuses = new Map(); // id → { ok, text }
+  const busy = new Set(); // ids being re-clipped
+
+  async function load() {
+    const { clipHistory } = await chrome.storage.local.get("clipHistory");
+    history = clipHistory || [];
+    render();
+  }
+
+  function matches(entry, terms) {
+    const haystack = [
+      entry.title,
+      entry.url,
+      entry.notebook,
+      (entry.tags || []).join(" "),
+      entry.filename,
+    ]
+      .join(" ")
+      .toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  }
+
+  function render() {
+    const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+    const results = history.filter((entry) => matches(entry, terms));
+
+    listEl.innerHTML = "";
+    emptyEl.classList.toggle("hidden", history.length > 0);
+    resultCountEl.textContent =
+      history.length === 0
+        ? ""
+        : `${results.length} of ${history.length} clip${history.length === 1 ? "" : "s"}`;
+
+    results.forEach((entry) => listEl.appendChild(renderEntry(entry)));
+  }
+
+  function renderEntry(entry) {
+    const item = document.createElement("div");
+    item.className = "pending-item";
+
+    const title = document.createElement("div");
+    title.className = "pending-title";
+    title.textContent = entry.title;
+
+    const url = document.createElement("span");
+    url.className = "pending-url";
+    url.textContent = entry.url;
+
+    const meta = document.createElement("div");
+    meta.className = "pending-meta";
+    meta.textContent = describeEntry(entry);
+
+    const status = document.createElement("div");
+    const entryStatus = statuses.get(entry.id);
+    status.className = entryStatus
+      ? `clip-status ${entryStatus.ok ? "success" : "error"}`
+      : "clip-status hidden";
+    status.textContent = entryStatus?.text || "";
+
+    const actions = document.createElement("div");
+    actions.className = "pending-actions";
+
+    const downloadBtn = button("Download Again", async () => {
+      const response = await chrome.runtime.sendMessage({
+        action: "redownloadClip",
+        id: entry.id,
+      });
+      showStatus(entry.id, response, "Downloaded.");
+    });
+
+    const openBtn = button("Open Page", () => {
+      chrome.tabs.create({ url: entry.url });
+    });
+
+    const reclipBtn = button("Re-clip", async () => {
+      busy.add(entry.id);
+      render();
+      const response = await chrome.runtime.sendMessage({
+        action: "reclip",
+        id: entry.id,
+      });
+      busy.delete(entry.id);
+      showStatus(entry.id, response, response?.success && describeReclip(response));
+    });
+    if (busy.has(entry.id)) {
+      reclipBtn.disabled = true;
+      reclipBtn.textContent = "Clipping...";
+    }
+
+    actions.appendChild(downloadBtn);
+    if (entry.url) {
+      actions.appendChild(openBtn);
+      actions.appendChild(reclipBtn);
+    }
+
+    item.appendChild(title);
+    if (entry.url) item.appendChild(url);
+    item.appendChild(meta);
+    item.appendChild(actions);
+    item.appendChild(status);
+    return item;
+  }
+
+  function button(label, onClick) {
+    const btn = document.createElement("button");
+    btn.className = "secondary";
+    btn.textContent = label;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  function describeEntry(entry) {
+    const parts = [new Date(entry.clippedAt).toLocaleString(), entry.notebook];
+    if (entry.tags && entry.tags.length > 0) parts.push(entry.tags.join(", "));
+    parts.push(entry.delivery === "native" ? "sent to DURA" : entry.filename);
+    return parts.filter(Boolean).join(" · ");
+  }
+
+  function describeReclip(response) {
+    if (response.delivery === "queued") return "Re-clipped, but saving failed. Queued for retry.";
+    return response.changed
+      ? "Re-clipped. The page has changed since the last clip."
+      : "Re-clipped. The page content is unchanged.";
+  }
+
+  function showStatus(id, response, successText) {
+    statuses.set(
+      id,
+      response && response.success
+        ? { ok: true, text: successText }
+        : { ok: false, text: response?.error || "Something went wrong." }
+    );
+    render();
+  }
+
+  searchInput.addEventListener("input", render);
+
+  // Re-clips add entries; keep the list current
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.clipHistory) {
+      history = changes.clipHistory.newValue || [];
+      render();
+    }
+  });
+
+  await load();
+})();
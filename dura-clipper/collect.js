@@ -0,0 +1,229 @@
+// DURA Clipper — Collections
+// A collection is a clip put together one selection at a time. Each snippet
+// becomes a blockquote with a text-fragment link back to its place in the
+// page and an optional comment, and the collection is saved as a single
+// clip at the end. Collections are kept per tab in session storage, so they
+// outlive the popup but not the browser. Used by the background, the popup
+// and the side panel.
+
+(function (global) {
+  "use strict";
+
+  // Milliseconds of typing pause before a comment is stored
+  const COMMENT_DELAY_MS = 300;
+
+  // Changes to a collection run one at a time per tab: the popup, the side
+  // panel, the context menu and the shortcut can all write it at once, and a
+  // slow write must not overwrite a newer one. A promise chain orders this
+  // page's changes; a Web Lock on the same key keeps the other extension
+  // pages and the service worker out while one runs.
+  const pending = new Map();
+
+  function serialized(tabId, task) {
+    const key = storageKey(tabId);
+    const result = (pending.get(key) || Promise.resolve()).then(() =>
+      navigator.locks.request(key, task)
+    );
+    const tail = result.catch((e) => {
+      console.error("DURA Clipper: collection update failed", e);
+    });
+    pending.set(key, tail);
+    tail.then(() => {
+      if (pending.get(key) === tail) pending.delete(key);
+    });
+    return result;
+  }
+
+  function storageKey(tabId) {
+    return `collection:${tabId}`;
+  }
+
+  // The tab's collection, or null when nothing has been collected. Waits
+  // for this page's unfinished changes.
+  async function get(tabId) {
+    const key = storageKey(tabId);
+    await pending.get(key);
+    return read(tabId);
+  }
+
+  async function read(tabId) {
+    const key = storageKey(tabId);
+    const stored = await chrome.storage.session.get(key);
+    return stored[key] || null;
+  }
+
+  function put(collection) {
+    return chrome.storage.session.set({ [storageKey(collection.tabId)]: collection });
+  }
+
+  // Adds the snippets of a `collectSelection` result (content.js) to the
+  // tab's collection, starting one with the page's metadata if there is
+  // none. Passages already collected are skipped. Resolves to the collection.
+  function addSnippets(tabId, collected) {
+    return serialized(tabId, () => addEntries(tabId, collected));
+  }
+
+  async function addEntries(tabId, collected) {
+    const { snippets, ...meta } = collected;
+    delete meta.success;
+    const collection = (await read(tabId)) || {
+      tabId: tabId,
+      clipId: crypto.randomUUID(),
+      meta: meta,
+      snippets: [],
+    };
+    for (const snippet of snippets) {
+      if (collection.snippets.some((s) => s.markdown === snippet.markdown)) continue;
+      collection.snippets.push({
+        id: crypto.randomUUID(),
+        markdown: snippet.markdown,
+        highlights: snippet.highlights || [],
+        link: snippet.link,
+        comment: "",
+      });
+    }
+    await put(collection);
+    return collection;
+  }
+
+  function setComment(tabId, snippetId, comment) {
+    return serialized(tabId, async () => {
+      const collection = await read(tabId);
+      const snippet = collection?.snippets.find((s) => s.id === snippetId);
+      if (!snippet) return collection;
+      snippet.comment = comment;
+      await put(collection);
+      return collection;
+    });
+  }
+
+  // Removing the last snippet discards the collection; resolves to null then
+  function removeSnippet(tabId, snippetId) {
+    return serialized(tabId, async () => {
+      const collection = await read(tabId);
+      if (!collection) return null;
+      collection.snippets = collection.snippets.filter((s) => s.id !== snippetId);
+      if (collection.snippets.length === 0) {
+        await chrome.storage.session.remove(storageKey(tabId));
+        return null;
+      }
+      await put(collection);
+      return collection;
+    });
+  }
+
+  function discard(tabId) {
+    return serialized(tabId, () => chrome.storage.session.remove(storageKey(tabId)));
+  }
+
+  // Calls `callback(tabId, collection)` whenever a tab's collection changes,
+  // wherever the change was made. `collection` is null once discarded.
+  function onChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== "session") return;
+      for (const [key, change] of Object.entries(changes)) {
+        const match = key.match(/^collection:(\d+)$/);
+        if (match) callback(Number(match[1]), change.newValue || null);
+      }
+    });
+  }
+
+  // MARK: - Markdown
+
+  // The collection's body, with each snippet's highlights at their place in
+  // it (approximately: placeHighlights in clip.js looks them up by text)
+  function toMarkdown(collection) {
+    const blocks = [];
+    const highlights = [];
+    const seen = new Set();
+    let length = 0;
+
+    for (const snippet of collection.snippets) {
+      const lines = snippet.markdown.split("\n");
+      const quote = lines.map((line) => (line ? "> " + line : ">")).join("\n");
+      let block = `${quote}\n>\n> [In context](${snippet.link})`;
+      if (snippet.comment.trim()) block += "\n\n" + snippet.comment.trim();
+
+      const start = blocks.length === 0 ? 0 : length + 2;
+      for (const highlight of snippet.highlights) {
+        if (seen.has(highlight.id)) continue;
+        seen.add(highlight.id);
+        // Quoting added "> " to each line up to the highlight's, ">" to blank ones
+        const line = snippet.markdown.slice(0, highlight.start).split("\n").length;
+        const added = lines.slice(0, line).reduce((sum, text) => sum + (text ? 2 : 1), 0);
+        highlights.push({ ...highlight, start: start + highlight.start + added });
+      }
+
+      blocks.push(block);
+      length = start + block.length;
+    }
+    return { markdown: blocks.join("\n\n"), highlights: highlights };
+  }
+
+  // The collection as an extraction result, ready for the preview and
+  // `saveClip`
+  function toClip(collection) {
+    const { markdown, highlights } = toMarkdown(collection);
+    return {
+      ...collection.meta,
+      mode: "selection",
+      clipId: collection.clipId,
+      bodyMarkdown: markdown,
+      highlights: highlights,
+    };
+  }
+
+  // MARK: - Snippet list
+
+  // Lists the snippets in `list` (a <ul>) with a comment field and a remove
+  // button each. `handlers` are { onComment(id, text), onRemove(id) };
+  // onComment is called once typing pauses, and when the field loses focus.
+  function renderSnippets(list, collection, handlers) {
+    list.innerHTML = "";
+    for (const snippet of collection ? collection.snippets : []) {
+      const li = document.createElement("li");
+      li.className = "snippet";
+
+      const quote = document.createElement("blockquote");
+      quote.textContent = snippet.markdown;
+
+      const remove = document.createElement("button");
+      remove.className = "snippet-remove";
+      remove.textContent = "\u00d7";
+      remove.title = "Remove";
+      remove.addEventListener("click", () => handlers.onRemove(snippet.id));
+
+      const comment = document.createElement("textarea");
+      comment.rows = 1;
+      comment.placeholder = "Comment (optional)";
+      comment.value = snippet.comment;
+      let timer = null;
+      const store = () => {
+        if (timer === null) return;
+        clearTimeout(timer);
+        timer = null;
+        handlers.onComment(snippet.id, comment.value);
+      };
+      comment.addEventListener("input", () => {
+        clearTimeout(timer);
+        timer = setTimeout(store, COMMENT_DELAY_MS);
+      });
+      comment.addEventListener("blur", store);
+
+      li.append(remove, quote, comment);
+      list.appendChild(li);
+    }
+  }
+
+  global.DuraCollect = {
+    get,
+    addSnippets,
+    setComment,
+    removeSnippet,
+    discard,
+    onChanged,
+    toMarkdown,
+    toClip,
+    renderSnippets,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
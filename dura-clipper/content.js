@@ -1,53 +1,206 @@
 // DURA Clipper — Content Script
-// Injected alongside lib/readability.js on all pages.
+// Injected alongside lib/readability.js, Turndown, markdown.js, metadata.js,
+// picker.js, highlighter.js, toast.js, the site extractors and pagination.js
+// on all pages.
 
 (function () {
   "use strict";
 
+  DuraHighlighter.restore();
+
   // Listen for messages from popup or background
   chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     if (request.action === "extract") {
-      const result = extractPage(request.mode || "full");
-      sendResponse(result);
+      extract(request.mode || "full", request.pageLimit || 1)
+        .then(sendResponse)
+        .catch((e) => sendResponse({ success: false, error: e.message }));
+    } else if (request.action === "checkPagination") {
+      sendResponse({ nextPage: DuraPagination.findNextPage(document, location.href, 1) });
     } else if (request.action === "checkSelection") {
       sendResponse({ hasSelection: !!window.getSelection().toString().trim() });
+    } else if (request.action === "startPicker") {
+      DuraPicker.start((count) => {
+        if (count > 0) {
+          chrome.runtime.sendMessage({ action: "pickerDone", count: count });
+        }
+      });
+      sendResponse({ success: true });
+    } else if (request.action === "pickerStatus") {
+      sendResponse({ count: DuraPicker.count() });
+    } else if (request.action === "clearPicker") {
+      DuraPicker.clear();
+      sendResponse({ success: true });
+    } else if (request.action === "startHighlighter") {
+      DuraHighlighter.start();
+      sendResponse({ success: true });
+    } else if (request.action === "highlightStatus") {
+      sendResponse({ count: DuraHighlighter.count() });
+    } else if (request.action === "collectSelection") {
+      sendResponse(collectSelection());
+    } else if (request.action === "showToast") {
+      DuraToast.show(request.text, request.detail, request.kind);
+      sendResponse({ success: true });
     }
     return true; // keep channel open for async
   });
 
+  // Full-page clips of sites with their own extractor (extractors/) use it;
+  // everything else goes through Readability. With a `pageLimit` above 1, a
+  // full-page clip also reads the article's following pages.
+  async function extract(mode, pageLimit) {
+    let site = null;
+    if (mode === "full") {
+      try {
+        site = await DuraExtractors.extract();
+        if (site && !site.supplement) return site;
+      } catch (e) {
+        console.warn("DURA Clipper: site extractor failed, using Readability", e);
+      }
+    }
+    const result = extractWithHighlights(mode);
+    if (site) return withSupplement(result, site);
+    if (mode !== "full" || pageLimit < 2 || !result.success || result.readabilityFailed) {
+      return result;
+    }
+    return DuraPagination.stitch(result, pageLimit, (page) => {
+      // The popup shows progress; nothing else listens
+      chrome.runtime.sendMessage({ action: "stitchProgress", page: page }).catch(() => {});
+    });
+  }
+
+  // The Readability result with a supplementing extractor's fields, its body
+  // appended to the article's
+  function withSupplement(result, site) {
+    if (!result.success) return site;
+    const { supplement, bodyMarkdown, bodyHTML, ...fields } = site;
+    return {
+      ...result,
+      ...fields,
+      bodyMarkdown: [result.bodyMarkdown, bodyMarkdown].filter(Boolean).join("\n\n"),
+    };
+  }
+
+  // Extracts the page with the reader's highlights located in the Markdown
+  function extractWithHighlights(mode) {
+    const result = DuraHighlighter.withMarkers(() => extractPage(mode));
+    if (!result.success) return result;
+
+    for (const key of ["title", "excerpt", "author", "bodyHTML"]) {
+      result[key] = DuraHighlighter.stripMarkers(result[key]);
+    }
+    if (result.bodyMarkdown) {
+      const located = DuraHighlighter.locate(result.bodyMarkdown);
+      result.bodyMarkdown = located.markdown;
+      result.highlights = located.highlights;
+    }
+    return result;
+  }
+
+  // The passages of the selection as snippets for a collection (collect.js),
+  // each with its highlights and a text-fragment link back to it
+  function collectSelection() {
+    const ranges = selectionRanges();
+    if (ranges.length === 0) {
+      return { success: false, error: "No text selected." };
+    }
+    // Read before the highlight markers go into the page
+    const links = ranges.map(textFragmentLink);
+    const parts = DuraHighlighter.withMarkers(() =>
+      ranges.map((range) => {
+        const container = document.createElement("div");
+        container.appendChild(range.cloneContents());
+        return DuraMarkdown.htmlToMarkdown(container.innerHTML, location.href);
+      })
+    );
+
+    const snippets = parts.map((markdown, i) => {
+      const located = DuraHighlighter.locate(markdown);
+      const lead = located.markdown.length - located.markdown.trimStart().length;
+      return {
+        markdown: located.markdown.trim(),
+        highlights: located.highlights.map((h) => ({ ...h, start: h.start - lead })),
+        link: links[i],
+      };
+    });
+    return { success: true, ...DuraMetadata.extractMetadata(), snippets: snippets };
+  }
+
+  // The selection's non-empty ranges. Firefox keeps one per passage picked
+  // with Ctrl; other browsers have at most one.
+  function selectionRanges() {
+    const sel = window.getSelection();
+    const ranges = [];
+    for (let i = 0; sel && i < sel.rangeCount; i++) {
+      const range = sel.getRangeAt(i);
+      if (range.toString().trim()) ranges.push(range);
+    }
+    return ranges;
+  }
+
+  // A link to the page that scrolls to `range` and marks it (a URL text
+  // fragment). Long passages are matched by their first and last words.
+  function textFragmentLink(range) {
+    const words = range.toString().trim().split(/\s+/);
+    const directive =
+      words.length <= 8
+        ? fragmentText(words.join(" "))
+        : fragmentText(words.slice(0, 4).join(" ")) + "," + fragmentText(words.slice(-4).join(" "));
+    return location.href.split("#")[0] + "#:~:text=" + directive;
+  }
+
+  // Text fragments reserve "-", "," and "&"; parentheses would end the
+  // Markdown link
+  function fragmentText(text) {
+    return encodeURIComponent(text).replace(
+      /[-!'()*]/g,
+      (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase()
+    );
+  }
+
   function extractPage(mode) {
-    const meta = extractMetadata();
+    const meta = DuraMetadata.extractMetadata();
 
     if (mode === "bookmark") {
       return {
         success: true,
         mode: "bookmark",
-        title: meta.title,
-        url: meta.url,
-        author: meta.author,
-        excerpt: meta.excerpt,
-        featuredImage: meta.featuredImage,
+        ...meta,
         bodyHTML: "",
       };
     }
 
     if (mode === "selection") {
-      const sel = window.getSelection();
-      if (!sel || !sel.toString().trim()) {
+      const ranges = selectionRanges();
+      if (ranges.length === 0) {
         return { success: false, error: "No text selected." };
       }
-      const range = sel.getRangeAt(0);
+      // Each selected passage stays a block of its own
       const container = document.createElement("div");
-      container.appendChild(range.cloneContents());
+      for (const range of ranges) {
+        const part = document.createElement("div");
+        part.appendChild(range.cloneContents());
+        container.appendChild(part);
+      }
       return {
         success: true,
         mode: "selection",
-        title: meta.title,
-        url: meta.url,
-        author: meta.author,
-        excerpt: meta.excerpt,
-        featuredImage: meta.featuredImage,
+        ...meta,
         bodyHTML: container.innerHTML,
+        bodyMarkdown: DuraMarkdown.htmlToMarkdown(container.innerHTML, meta.url),
+      };
+    }
+
+    if (mode === "picker") {
+      const pickedHTML = DuraPicker.pickedHTML();
+      if (!pickedHTML) {
+        return { success: false, error: "No elements picked." };
+      }
+      return {
+        success: true,
+        mode: "picker",
+        ...meta,
+        bodyHTML: pickedHTML,
+        bodyMarkdown: DuraMarkdown.htmlToMarkdown(pickedHTML, meta.url),
       };
     }
 
@@ -57,6 +210,8 @@
 
     try {
       const docClone = document.cloneNode(true);
+      DuraMarkdown.preserveCode(docClone.body);
+      DuraMarkdown.preserveMath(docClone.body);
       const reader = new Readability(docClone);
       const article = reader.parse();
       if (article && article.content) {
@@ -65,6 +220,11 @@
         if (article.title) meta.title = article.title;
         if (article.byline) meta.author = article.byline;
         if (article.excerpt) meta.excerpt = article.excerpt;
+        if (!meta.publishedAt && article.publishedTime) {
+          meta.publishedAt = article.publishedTime;
+        }
+        if (!meta.siteName && article.siteName) meta.siteName = article.siteName;
+        if (!meta.language && article.lang) meta.language = article.lang;
       } else {
         bodyHTML = document.body.innerHTML;
         readabilityFailed = true;
@@ -77,51 +237,10 @@
     return {
       success: true,
       mode: "full",
-      title: meta.title,
-      url: meta.url,
-      author: meta.author,
-      excerpt: meta.excerpt,
-      featuredImage: meta.featuredImage,
+      ...meta,
       bodyHTML: bodyHTML,
+      bodyMarkdown: DuraMarkdown.htmlToMarkdown(bodyHTML, meta.url),
       readabilityFailed: readabilityFailed,
     };
   }
-
-  function extractMetadata() {
-    const title =
-      getMetaContent("og:title") ||
-      getMetaContent("twitter:title") ||
-      document.title ||
-      "";
-
-    const url =
-      document.querySelector('link[rel="canonical"]')?.href ||
-      window.location.href;
-
-    const author =
-      getMetaContent("author") ||
-      getMetaContent("article:author") ||
-      getMetaContent("twitter:creator") ||
-      "";
-
-    const excerpt =
-      getMetaContent("og:description") ||
-      getMetaContent("description") ||
-      getMetaContent("twitter:description") ||
-      "";
-
-    const featuredImage =
-      getMetaContent("og:image") ||
-      getMetaContent("twitter:image") ||
-      "";
-
-    return { title, url, author, excerpt, featuredImage };
-  }
-
-  function getMetaContent(nameOrProperty) {
-    const el =
-      document.querySelector(`meta[property="${nameOrProperty}"]`) ||
-      document.querySelector(`meta[name="${nameOrProperty}"]`);
-    return el ? el.getAttribute("content") || "" : "";
-  }
 })();
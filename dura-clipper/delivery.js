@@ -0,0 +1,185 @@
+// DURA Clipper — Clip Delivery
+// Imported into the background service worker. Every save path (popup,
+// context menu, link and image savers) ends here: the extraction result is
+// built into a .md file and sent straight to DURA through the native host
+// when it is installed, or downloaded into the folder DURA watches. Clips
+// that fail both ways go to the retry queue (queue.js); delivered ones are
+// recorded in the clip history (history.js).
+// Requires yaml.js, template.js, clip.js, assets.js, native.js, queue.js
+// and history.js.
+
+(function (global) {
+  "use strict";
+
+  // Builds and delivers a clip. `extracted` is an extraction result with its
+  // `bodyMarkdown`; `options` holds notebook, tags and includeFeaturedImage.
+  // Resolves with { delivery: "native", noteId, title } (noteId is null while
+  // DURA has yet to import a clip the host handed over),
+  // { delivery: "download", filename } or, when the clip had to be queued,
+  // { delivery: "queued", error }.
+  async function deliverClip(extracted, options) {
+    const clip = {
+      ...extracted,
+      clipId: extracted.clipId || crypto.randomUUID(),
+      clippedAt: extracted.clippedAt || new Date().toISOString(),
+    };
+    try {
+      return await attemptDelivery(clip, options);
+    } catch (e) {
+      console.error("DURA Clipper: delivery failed, queued for retry", e);
+      await DuraQueue.enqueue(clip, options, e);
+      return { delivery: "queued", error: e.message };
+    }
+  }
+
+  // One delivery attempt: the native host first, then a download. Rejects
+  // when both fail.
+  async function attemptDelivery(extracted, options) {
+    const settings = await chrome.storage.sync.get([
+      "downloadSubfolder",
+      "downloadImages",
+      "saveBibTeX",
+      "templates",
+    ]);
+    const subfolder = settings.downloadSubfolder || "DURA-Clips";
+    const { notebook, tags, includeFeaturedImage } = options;
+    const filename = DuraClip.buildFilename(
+      extracted,
+      notebook,
+      tags,
+      settings.templates
+    );
+
+    const bodyMarkdown = extracted.bodyMarkdown || "";
+    const featuredImage = extracted.featuredImage || "";
+    const images =
+      settings.downloadImages && extracted.mode !== "bookmark"
+        ? await DuraAssets.fetchImages(bodyMarkdown, featuredImage)
+        : new Map();
+
+    const build = (localized) =>
+      DuraClip.buildMarkdownFile(
+        { ...extracted, featuredImage: localized.featuredImage },
+        localized.bodyMarkdown,
+        notebook,
+        tags,
+        includeFeaturedImage,
+        settings.templates
+      );
+
+    // Papers carry a BibTeX entry; it goes next to the .md as a .bib file
+    const bibtex = settings.saveBibTeX && extracted.bibtex ? extracted.bibtex + "\n" : "";
+
+    const result = await sendOrDownload(extracted, filename, subfolder, images, build, bibtex);
+
+    // History keeps the file with remote image URLs: it stays valid after
+    // the native host's copy of assets/ is gone. The clip is already saved,
+    // so a history failure must not send it to the retry queue.
+    try {
+      await DuraHistory.record(
+        {
+          clipId: extracted.clipId || null,
+          title: extracted.title || "Untitled",
+          url: extracted.url || "",
+          canonicalUrl: DuraClip.canonicalUrl(extracted.url || ""),
+          mode: extracted.mode || "full",
+          notebook: notebook,
+          tags: tags,
+          includeFeaturedImage: includeFeaturedImage || false,
+          filename: filename,
+          clippedAt: extracted.clippedAt || new Date().toISOString(),
+          contentHash: await DuraHistory.contentHash(bodyMarkdown),
+          delivery: result.delivery,
+          noteId: result.noteId || null,
+        },
+        build({ bodyMarkdown, featuredImage })
+      );
+    } catch (e) {
+      console.error("DURA Clipper: could not record clip history", e);
+    }
+
+    // The native host got the .bib with the clip. Like history, a failure
+    // here must not requeue a saved clip.
+    if (bibtex && result.delivery === "download") {
+      try {
+        await downloadFile(bibtex, bibFilename(filename), subfolder, "application/x-bibtex");
+      } catch (e) {
+        console.error("DURA Clipper: could not save the BibTeX file", e);
+      }
+    }
+    return result;
+  }
+
+  async function sendOrDownload(extracted, filename, subfolder, images, build, bibtex) {
+    const bodyMarkdown = extracted.bodyMarkdown || "";
+    const featuredImage = extracted.featuredImage || "";
+
+    // The host lays the delivery out like the download subfolder: the .md at
+    // its templated path, assets/ at the top
+    try {
+      const localized = DuraAssets.rewriteImages(
+        bodyMarkdown,
+        featuredImage,
+        images,
+        DuraAssets.relativePrefix(filename)
+      );
+      const assets = [...images.values()].map((image) => ({
+        path: `${DuraAssets.ASSETS_DIR}/${image.name}`,
+        data: image.base64,
+      }));
+      if (bibtex) {
+        assets.push({ path: bibFilename(filename), data: utf8Base64(bibtex) });
+      }
+      const ack = await DuraNative.sendClip({
+        filename: filename,
+        markdown: build(localized),
+        assets: assets,
+        title: extracted.title || "",
+        url: extracted.url || "",
+      });
+      return { delivery: "native", noteId: ack.noteId || null, title: ack.title };
+    } catch (e) {
+      if (!e.hostUnavailable) {
+        console.warn("DURA Clipper: native delivery failed, downloading instead", e);
+      }
+    }
+
+    const saved = await DuraAssets.downloadImages(images, subfolder);
+    const localized = DuraAssets.rewriteImages(
+      bodyMarkdown,
+      featuredImage,
+      saved,
+      DuraAssets.relativePrefix(filename)
+    );
+    await downloadMarkdown(build(localized), filename, subfolder);
+    return { delivery: "download", filename: filename };
+  }
+
+  function downloadMarkdown(content, filename, subfolder) {
+    return downloadFile(content, filename, subfolder, "text/markdown");
+  }
+
+  async function downloadFile(content, filename, subfolder, mimeType) {
+    // Manifest V3 service workers don't support Blob/URL.createObjectURL.
+    // Use a data URI instead.
+    const dataUrl = `data:${mimeType};base64,` + utf8Base64(content);
+
+    const downloadId = await chrome.downloads.download({
+      url: dataUrl,
+      filename: `${subfolder}/${filename}`,
+      saveAs: false,
+    });
+    await DuraAssets.downloadFinished(downloadId);
+  }
+
+  function utf8Base64(text) {
+    return btoa(unescape(encodeURIComponent(text)));
+  }
+
+  // The paper citation saved alongside `filename` (a .md path)
+  function bibFilename(filename) {
+    return filename.replace(/\.md$/i, ".bib");
+  }
+
+  global.DuraDelivery = { deliverClip, attemptDelivery, downloadMarkdown };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,147 @@
+// DURA Clipper — Site Extractors
+// Injected after metadata.js, before the site extractors in extractors/ and
+// content.js.
+//
+// Some sites give Readability nothing useful to work with (video pages,
+// social threads, code hosts). A site extractor recognizes such a page by its
+// URL and builds the clip from the page's own data instead. Full-page clips
+// try the matching extractor first and fall back to Readability when it
+// returns null.
+//
+// An extractor is registered with
+//   DuraExtractors.register({ name, matches(url), extract(url, meta) })
+// where `url` is a URL object for the page and `meta` is the result of
+// DuraMetadata.extractMetadata(). `extract` resolves to fields that replace
+// the page metadata (title, author, excerpt, ...) plus:
+//   bodyMarkdown  the clip body
+//   type          front matter `type` (e.g. "video")
+//   siteMetadata  extra front matter keys; they never replace DURA's own
+//   supplement    true to keep the Readability body and append
+//                 `bodyMarkdown` to it instead of replacing it
+
+(function (global) {
+  "use strict";
+
+  const extractors = [];
+
+  function register(extractor) {
+    extractors.push(extractor);
+  }
+
+  function find(url) {
+    return extractors.find((extractor) => extractor.matches(url)) || null;
+  }
+
+  // Runs the extractor for the current page. Resolves to an extraction
+  // result like content.js builds, or null when no extractor applies or the
+  // extractor found nothing.
+  async function extract() {
+    const url = new URL(location.href);
+    const extractor = find(url);
+    if (!extractor) return null;
+
+    const meta = DuraMetadata.extractMetadata();
+    const fields = await extractor.extract(url, meta);
+    if (!fields || !fields.bodyMarkdown) return null;
+    return {
+      success: true,
+      mode: "full",
+      ...meta,
+      ...fields,
+      bodyHTML: "",
+      extractor: extractor.name,
+    };
+  }
+
+  // MARK: - Helpers for extractors
+
+  // Parses the JSON object literal that follows `marker` in `text` (e.g. a
+  // `var ytInitialData = {...};` assignment in an inline script). Returns
+  // null when there is none or it doesn't parse.
+  function parseInlineJSON(text, marker) {
+    const at = text.indexOf(marker);
+    if (at === -1) return null;
+    const start = text.indexOf("{", at + marker.length);
+    if (start === -1) return null;
+
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (ch === "\\") i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === "{") {
+        depth++;
+      } else if (ch === "}" && --depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Text of the first inline script that contains `marker`
+  function findScript(marker) {
+    for (const script of document.querySelectorAll("script:not([src])")) {
+      if (script.textContent.includes(marker)) return script.textContent;
+    }
+    return "";
+  }
+
+  function escapeMarkdown(text) {
+    return text.replace(/[\\`*_[\]<>$]/g, "\\$&");
+  }
+
+  // Plain text (a video description, a bio) as Markdown: special characters
+  // escaped, URLs as autolinks, single newlines kept as hard line breaks
+  function plainTextToMarkdown(text) {
+    return text
+      .replace(/\r\n?/g, "\n")
+      .split(/(https?:\/\/[^\s<>]+)/)
+      .map((part, i) => (i % 2 === 1 ? `<${part}>` : escapeMarkdown(part)))
+      .join("")
+      .replace(/([^\n])\n(?=[^\n])/g, "$1  \n")
+      .trim();
+  }
+
+  // 75 → "1:15", 3723 → "1:02:03"
+  function formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, "0");
+    return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+  }
+
+  // "Oct 19, 2026, 3:04 PM" in the reader's time zone; "" for a missing or
+  // invalid date
+  function formatDateTime(iso) {
+    const date = iso ? new Date(iso) : null;
+    if (!date || Number.isNaN(date.getTime())) return "";
+    return date.toLocaleString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  }
+
+  global.DuraExtractors = {
+    register,
+    find,
+    extract,
+    parseInlineJSON,
+    findScript,
+    escapeMarkdown,
+    plainTextToMarkdown,
+    formatTimestamp,
+    formatDateTime,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,163 @@
+// DURA Clipper — GitHub Extractor
+// Clips GitHub READMEs, issues, pull requests and discussions. Conversations
+// keep their structure: the opening post and every comment as its own
+// section with author, date and permalink. Issue-like pages also
+// record `repo`, `issue_number`, `state` and `labels` in the front matter.
+// Requires extractors.js and markdown.js.
+//
+// GitHub ships more than one generation of its UI at a time, so comments are
+// found by their rendered Markdown (`.markdown-body`) and the author and time
+// are read from the nearest enclosing element that has them.
+
+(function () {
+  "use strict";
+
+  const { register, escapeMarkdown, formatDateTime } = DuraExtractors;
+
+  const MARKDOWN_BODY = '.markdown-body, [data-testid="markdown-body"]';
+  const AUTHOR =
+    'a.author, [data-testid="issue-body-header-author"], a[data-testid="avatar-link"], ' +
+    'a[data-hovercard-type="user"]:not(.user-mention)';
+  const TIME = "relative-time[datetime], time[datetime]";
+  const TITLE = '.js-issue-title, bdi.markdown-title, [data-testid="issue-title"]';
+  const STATE = '[data-testid="header-state"], .gh-header-meta .State, .State';
+  const SIDEBAR = '#partial-discussion-sidebar, [data-testid="issue-viewer-metadata-pane"], .Layout-sidebar';
+  const LABEL = '.IssueLabel, a[href*="/labels/"]';
+
+  // Page chrome inside rendered Markdown that has no place in a clip
+  const CHROME = ".zeroclipboard-container, clipboard-copy, a.anchor, .js-clipboard-copy";
+
+  // Path segments that are GitHub pages rather than repositories
+  const RESERVED_OWNERS = new Set([
+    "settings", "notifications", "marketplace", "explore", "topics", "orgs",
+    "search", "pulls", "issues", "sponsors", "features", "login", "about",
+  ]);
+
+  register({
+    name: "github",
+    matches: (url) =>
+      url.hostname === "github.com" && !RESERVED_OWNERS.has(url.pathname.split("/")[1]),
+    extract: extractGitHub,
+  });
+
+  function extractGitHub(url) {
+    const [, owner, name, section, number] = url.pathname.split("/");
+    if (!owner || !name) return null;
+    const repo = `${owner}/${name}`;
+
+    if (/^\d+$/.test(number || "") && ["issues", "pull", "discussions"].includes(section)) {
+      return extractConversation(url, repo, section, Number(number));
+    }
+    if (!section || section === "blob" || section === "tree") {
+      return extractReadme(repo);
+    }
+    return null;
+  }
+
+  // MARK: - READMEs
+
+  // A repository's front page, or a Markdown file viewed in the repository
+  function extractReadme(repo) {
+    const article = document.querySelector("#readme article.markdown-body, article.markdown-body");
+    if (!article) return null;
+    return {
+      siteName: "GitHub",
+      bodyMarkdown: bodyMarkdown(article),
+      siteMetadata: { repo: repo },
+    };
+  }
+
+  // MARK: - Issues, pull requests and discussions
+
+  function extractConversation(url, repo, section, number) {
+    const bodies = Array.from(document.querySelectorAll(MARKDOWN_BODY)).filter(
+      (el) => !el.parentElement.closest(MARKDOWN_BODY) && !el.closest("form, [hidden]")
+    );
+    const comments = bodies.map((body) => readComment(body, bodies, url)).filter(Boolean);
+    if (comments.length === 0) return null;
+
+    const blocks = comments.map((comment) => {
+      const author = comment.author
+        ? `[${escapeMarkdown(comment.author)}](https://github.com/${comment.author})`
+        : "Unknown";
+      const date = formatDateTime(comment.time);
+      const stamp = date ? ` · [${date}](${comment.permalink})` : "";
+      return `### ${author}${stamp}\n\n${comment.markdown || "_No description provided._"}`;
+    });
+
+    const title = (document.querySelector(TITLE)?.textContent || "").trim();
+    const state = (document.querySelector(STATE)?.textContent || "").trim().toLowerCase();
+    const opener = comments[0];
+
+    const siteMetadata = {
+      repo: repo,
+      issue_number: number,
+      state: state,
+      labels: readLabels(),
+    };
+    if (comments.length > 1) siteMetadata.comment_count = comments.length - 1;
+
+    return {
+      type: { issues: "issue", pull: "pull_request", discussions: "discussion" }[section],
+      title: title ? `${title} · ${repo}#${number}` : "",
+      url: `https://github.com/${repo}/${section}/${number}`,
+      author: opener.author,
+      authors: opener.author ? [{ name: opener.author, url: `https://github.com/${opener.author}` }] : [],
+      excerpt: opener.markdown.split(/\n\s*\n/)[0].replace(/\s+/g, " ").trim(),
+      publishedAt: opener.time,
+      siteName: "GitHub",
+      bodyMarkdown: blocks.join("\n\n"),
+      siteMetadata: siteMetadata,
+    };
+  }
+
+  // Author, time, permalink and Markdown for one rendered comment body.
+  // The comment's header is in the closest ancestor that has an author link
+  // but no other comment in it.
+  function readComment(body, bodies, pageUrl) {
+    const outside = (root, selector) =>
+      Array.from(root.querySelectorAll(selector)).find((el) => !body.contains(el));
+
+    let container = null;
+    for (let el = body.parentElement; el && el !== document.body; el = el.parentElement) {
+      if (bodies.some((other) => other !== body && el.contains(other))) break;
+      container = el;
+      if (outside(el, AUTHOR)) break;
+    }
+
+    const authorEl = container && outside(container, AUTHOR);
+    const timeEl = container && outside(container, TIME);
+    const anchor = timeEl?.closest("a");
+    const id = container?.closest("[id^='issue-'], [id^='issuecomment-'], [id^='discussion'], [id^='pullrequestreview-']")?.id;
+
+    const login = authorEl
+      ? (authorEl.getAttribute("href") || authorEl.textContent).trim().replace(/^.*\//, "").replace(/^@/, "")
+      : "";
+    return {
+      author: login,
+      time: timeEl?.getAttribute("datetime") || "",
+      permalink: anchor?.href || (id ? `${pageUrl.origin}${pageUrl.pathname}#${id}` : pageUrl.href),
+      markdown: bodyMarkdown(body),
+    };
+  }
+
+  function readLabels() {
+    const labels = [];
+    for (const sidebar of document.querySelectorAll(SIDEBAR)) {
+      for (const label of sidebar.querySelectorAll(LABEL)) {
+        const text = label.textContent.trim();
+        if (text && !labels.includes(text)) labels.push(text);
+      }
+    }
+    return labels;
+  }
+
+  // MARK: - Markdown
+
+  // Rendered Markdown back to Markdown, without GitHub's heading anchors
+  function bodyMarkdown(el) {
+    const clone = el.cloneNode(true);
+    clone.querySelectorAll(CHROME).forEach((node) => node.remove());
+    return DuraMarkdown.htmlToMarkdown(clone.innerHTML, location.href);
+  }
+})();
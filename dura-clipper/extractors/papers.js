@@ -0,0 +1,283 @@
+// DURA Clipper — Paper Extractor
+// Clips scholarly pages (arXiv abstract pages, DOI landing pages, PubMed and
+// anything else carrying Highwire `citation_*` or Dublin Core citation tags)
+// as a paper note: the full author list, abstract, DOI, arXiv ID, journal,
+// publication date and PDF link go into the front matter, and the body holds
+// the abstract and a BibTeX entry. Pages that carry the full article (most
+// publishers tag those too) keep their Readability body, with the citation
+// appended. The entry is also returned as `bibtex`, so delivery can save it
+// as a .bib file. Requires extractors.js.
+
+(function () {
+  "use strict";
+
+  const { register, escapeMarkdown, plainTextToMarkdown } = DuraExtractors;
+
+  const ARXIV_ID = /(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(v\d+)?/;
+  const DOI = /\b(10\.\d{4,9}\/[^\s"<>]+)/;
+
+  // Where sites put the abstract when there's no citation_abstract tag
+  const ABSTRACT_SELECTORS = [
+    "blockquote.abstract",
+    "#eng-abstract",
+    "#abstract .abstract-content",
+    "section.abstract",
+    "div.abstract",
+    "#abstract",
+    "#Abs1-content",
+  ];
+
+  // Running text (in <p>s) beyond which a page holds the article itself, not
+  // just its abstract
+  const FULL_TEXT_MIN_LENGTH = 5000;
+
+  // Words skipped when picking the title word of a citation key
+  const STOP_WORDS = new Set(["a", "an", "the", "on", "of", "in", "for", "and", "to", "with", "towards"]);
+
+  register({
+    name: "paper",
+    matches: (url) =>
+      isArxivAbstract(url) ||
+      !!document.querySelector('meta[name="citation_title"], meta[name="citation_doi"]') ||
+      !!findDoi(url),
+    extract: extractPaper,
+  });
+
+  function isArxivAbstract(url) {
+    return /(^|\.)arxiv\.org$/.test(url.hostname) && /^\/abs\//.test(url.pathname);
+  }
+
+  function extractPaper(url, meta) {
+    const tag = (name) => metaValues(name)[0] || "";
+
+    const arxivId =
+      tag("citation_arxiv_id") || (isArxivAbstract(url) ? (url.pathname.match(ARXIV_ID) || [])[1] : "") || "";
+    const doi = findDoi(url) || (arxivId ? `10.48550/arXiv.${arxivId}` : "");
+    const title = tag("citation_title") || tag("dc.title") || tag("dcterms.title") || meta.title;
+    if (!title || (!doi && !arxivId && !tag("citation_title"))) return null;
+
+    const authors = readAuthors();
+    const abstract = readAbstract();
+    const journal =
+      tag("citation_journal_title") ||
+      tag("citation_conference_title") ||
+      tag("prism.publicationname") ||
+      (arxivId ? "arXiv" : "");
+    const published = normalizeDate(
+      tag("citation_publication_date") ||
+        tag("citation_date") ||
+        tag("citation_online_date") ||
+        tag("dc.date") ||
+        tag("dcterms.issued")
+    );
+    const pdfUrl = tag("citation_pdf_url") || (arxivId ? `https://arxiv.org/pdf/${arxivId}` : "");
+    const firstPage = tag("citation_firstpage");
+    const lastPage = tag("citation_lastpage");
+
+    const paper = {
+      title: title,
+      authors: authors,
+      journal: journal,
+      conference: !!tag("citation_conference_title"),
+      volume: tag("citation_volume"),
+      issue: tag("citation_issue"),
+      pages: firstPage && lastPage ? `${firstPage}--${lastPage}` : firstPage,
+      publisher: tag("citation_publisher") || tag("dc.publisher"),
+      published: published,
+      doi: doi,
+      arxivId: arxivId,
+      url: arxivId ? `https://arxiv.org/abs/${arxivId}` : meta.url,
+    };
+    const bibtex = buildBibTeX(paper);
+
+    const fullText = !isArxivAbstract(url) && isFullText(abstract);
+    const sections = [];
+    const facts = [];
+    const names = authors.map(displayName);
+    if (names.length > 0) facts.push(`**Authors:** ${escapeMarkdown(names.join(", "))}`);
+    if (journal) facts.push(`**Published in:** ${escapeMarkdown([journal, published].filter(Boolean).join(", "))}`);
+    if (doi) facts.push(`**DOI:** [${doi}](https://doi.org/${doi})`);
+    if (pdfUrl) facts.push(`**PDF:** <${pdfUrl}>`);
+    if (fullText) {
+      // Follows the article, which has its own abstract
+      sections.push("## Citation");
+      if (facts.length > 0) sections.push(facts.join("  \n"));
+      sections.push("```bibtex\n" + bibtex + "\n```");
+    } else {
+      if (facts.length > 0) sections.push(facts.join("  \n"));
+      if (abstract) sections.push("## Abstract\n\n" + plainTextToMarkdown(abstract));
+      sections.push("## BibTeX\n\n```bibtex\n" + bibtex + "\n```");
+    }
+
+    const siteMetadata = {
+      doi: doi,
+      arxiv_id: arxivId,
+      pmid: tag("citation_pmid"),
+      journal: journal,
+      volume: paper.volume,
+      issue: paper.issue,
+      pages: paper.pages.replace("--", "–"),
+      publisher: paper.publisher,
+      pdf_url: pdfUrl,
+      abstract: abstract,
+      bibtex_key: bibtex.match(/^@\w+\{([^,]+),/)[1],
+    };
+
+    return {
+      type: "paper",
+      title: title,
+      url: paper.url,
+      author: names.join(", "),
+      authors: names.map((name) => ({ name })),
+      excerpt: abstract.replace(/\s+/g, " ").trim(),
+      publishedAt: published,
+      bodyMarkdown: sections.join("\n\n"),
+      supplement: fullText,
+      bibtex: bibtex,
+      siteMetadata: siteMetadata,
+    };
+  }
+
+  // MARK: - Page data
+
+  // Every value of a meta tag, in page order (case-insensitive name)
+  function metaValues(name) {
+    return Array.from(document.querySelectorAll("meta[name], meta[property]"))
+      .filter((el) => (el.getAttribute("name") || el.getAttribute("property")).toLowerCase() === name)
+      .map((el) => (el.getAttribute("content") || "").trim())
+      .filter(Boolean);
+  }
+
+  function findDoi(url) {
+    const candidates = [
+      ...metaValues("citation_doi"),
+      ...metaValues("prism.doi"),
+      ...metaValues("dc.identifier"),
+      ...metaValues("dcterms.identifier"),
+      // doi.org links resolve to the landing page; some stay on doi.org paths
+      url.hostname.endsWith("doi.org") ? decodeURIComponent(url.pathname.slice(1)) : "",
+    ];
+    for (const value of candidates) {
+      const match = value.match(DOI);
+      if (match) return match[1].replace(/[.,;]+$/, "");
+    }
+    return "";
+  }
+
+  function isFullText(abstract) {
+    const text = Array.from(document.querySelectorAll("p"))
+      .map((p) => p.textContent.trim())
+      .join(" ");
+    return text.length > Math.max(FULL_TEXT_MIN_LENGTH, 3 * abstract.length);
+  }
+
+  // Highwire tags give one author per tag; PubMed lists them in one tag
+  function readAuthors() {
+    let authors = metaValues("citation_author");
+    if (authors.length === 0) {
+      authors = metaValues("citation_authors").flatMap((value) => value.split(";"));
+    }
+    if (authors.length === 0) {
+      authors = [...metaValues("dc.creator"), ...metaValues("dcterms.creator")];
+    }
+    return [...new Set(authors.map((name) => name.trim()).filter(Boolean))];
+  }
+
+  function readAbstract() {
+    const tagged = metaValues("citation_abstract")[0] || metaValues("dc.description")[0];
+    if (tagged && tagged.length > 80) return tagged;
+
+    for (const selector of ABSTRACT_SELECTORS) {
+      const el = document.querySelector(selector);
+      if (!el) continue;
+      const clone = el.cloneNode(true);
+      // arXiv prefixes the text with a "Abstract:" label
+      clone.querySelectorAll(".descriptor, h2, h3").forEach((label) => label.remove());
+      const text = clone.innerText !== undefined ? clone.innerText : clone.textContent;
+      if (text.trim()) return text.trim().replace(/^abstract[:.]?\s*/i, "");
+    }
+    return tagged || metaValues("og:description")[0] || "";
+  }
+
+  // "Vaswani, Ashish" → "Ashish Vaswani"
+  function displayName(name) {
+    const [last, first] = name.split(/,\s*/, 2);
+    return first ? `${first} ${last}` : name;
+  }
+
+  // "2023/05/01", "2023-5-1", "2023" → "2023-05-01", "2023"
+  function normalizeDate(value) {
+    const match = (value || "").match(/^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?/);
+    if (!match) return "";
+    return [match[1], match[2], match[3]]
+      .filter(Boolean)
+      .map((part, i) => (i === 0 ? part : part.padStart(2, "0")))
+      .join("-");
+  }
+
+  // MARK: - BibTeX
+
+  function buildBibTeX(paper) {
+    const year = paper.published.slice(0, 4);
+    const fields = [["title", `{${bibEscape(paper.title)}}`]];
+    if (paper.authors.length > 0) {
+      fields.push(["author", paper.authors.map(bibEscape).join(" and ")]);
+    }
+
+    let entryType = "misc";
+    if (paper.arxivId && (!paper.journal || paper.journal === "arXiv")) {
+      fields.push(["eprint", paper.arxivId], ["archivePrefix", "arXiv"]);
+    } else if (paper.conference) {
+      entryType = "inproceedings";
+      fields.push(["booktitle", bibEscape(paper.journal)]);
+    } else if (paper.journal) {
+      entryType = "article";
+      fields.push(["journal", bibEscape(paper.journal)]);
+    }
+
+    fields.push(
+      ["year", year],
+      ["volume", paper.volume],
+      ["number", paper.issue],
+      ["pages", paper.pages],
+      ["publisher", bibEscape(paper.publisher)],
+      ["doi", paper.doi],
+      ["url", paper.url]
+    );
+
+    const lines = fields
+      .filter(([, value]) => value)
+      .map(([name, value]) => `  ${name} = {${value}}`);
+    return `@${entryType}{${citationKey(paper, year)},\n${lines.join(",\n")}\n}`;
+  }
+
+  // surname + year + first significant title word, e.g. "vaswani2017attention"
+  function citationKey(paper, year) {
+    const first = paper.authors[0] || "";
+    // "Vaswani, Ashish", "Ashish Vaswani" or PubMed's "Vaswani A"
+    const parts = first.split(/\s+/);
+    const surname = first.includes(",")
+      ? first.split(",")[0]
+      : /^[A-Z]{1,3}$/.test(parts[parts.length - 1]) && parts.length > 1
+        ? parts[0]
+        : parts[parts.length - 1];
+    const word =
+      paper.title
+        .split(/\s+/)
+        .map(asciiWord)
+        .find((w) => w && !STOP_WORDS.has(w)) || "paper";
+    return (asciiWord(surname) || "anon") + year + word;
+  }
+
+  function asciiWord(text) {
+    return (text || "")
+      .normalize("NFKD")
+      .replace(/[^\w]/g, "")
+      .replace(/_/g, "")
+      .toLowerCase();
+  }
+
+  function bibEscape(text) {
+    return (text || "").replace(/[&%$#_]/g, "\\$&").replace(/[{}]/g, "");
+  }
+})();
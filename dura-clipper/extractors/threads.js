@@ -0,0 +1,274 @@
+// DURA Clipper — Thread Extractor
+// Unrolls a Twitter/X or Mastodon thread from a post's permalink page into
+// one clip: every post the author chained onto the thread, in order, each
+// with its timestamp and permalink, its images and videos, and any post it
+// quotes. Requires extractors.js and markdown.js.
+//
+// Both sites render the conversation around the linked post: earlier posts
+// above it, replies below. The thread is the unbroken run of posts by the
+// linked post's author around it. Posts are read from the DOM as rendered,
+// so on X, posts further down a long thread only appear once the page has
+// been scrolled to them.
+
+(function () {
+  "use strict";
+
+  const { register, escapeMarkdown, formatDateTime } = DuraExtractors;
+
+  // Selectors for X's markup
+  const X = {
+    post: 'article[data-testid="tweet"]',
+    userName: '[data-testid="User-Name"]',
+    text: '[data-testid="tweetText"]',
+    photo: '[data-testid="tweetPhoto"] img',
+    video: "video",
+    quote: 'div[role="link"]',
+  };
+
+  // Selectors for Mastodon's web app
+  const MASTODON = {
+    post: ".detailed-status, .status",
+    focal: ".detailed-status",
+    name: ".display-name__html",
+    account: ".display-name__account",
+    text: ".status__content__text, .status__content",
+    permalink: "a.status__relative-time, a.detailed-status__datetime",
+    media: ".media-gallery__item",
+    video: ".video-player video, .audio-player audio",
+    quote: ".status__quote, .quoted-status",
+  };
+
+  register({
+    name: "x",
+    matches: (url) =>
+      /(^|\.)(twitter|x)\.com$/.test(url.hostname) &&
+      /^\/[^/]+\/status\/\d+/.test(url.pathname),
+    extract: (url) => {
+      const id = url.pathname.match(/\/status\/(\d+)/)[1];
+      const posts = Array.from(document.querySelectorAll(X.post))
+        .filter((el) => !el.parentElement.closest(X.post))
+        .map(readXPost);
+      return threadClip("x", posts, (post) => post.permalink.endsWith(`/status/${id}`));
+    },
+  });
+
+  register({
+    name: "mastodon",
+    // Any server can run Mastodon; its web app mounts on #mastodon
+    matches: (url) =>
+      /^\/@[^/]+\/\d+$/.test(url.pathname) && !!document.getElementById("mastodon"),
+    extract: () => {
+      const elements = Array.from(document.querySelectorAll(MASTODON.post)).filter(
+        (el) => !el.parentElement.closest(`${MASTODON.post}, ${MASTODON.quote}`)
+      );
+      const focal = elements.find((el) => el.matches(MASTODON.focal));
+      const posts = elements.map((el) => ({
+        ...readMastodonPost(el),
+        focal: el === focal,
+      }));
+      return threadClip("mastodon", posts, (post) => post.focal);
+    },
+  });
+
+  // MARK: - Thread
+
+  // Builds the clip from every post on the page; `isFocal` picks the post the
+  // page links to. Null when it isn't rendered (yet).
+  function threadClip(platform, posts, isFocal) {
+    const focalIndex = posts.findIndex(isFocal);
+    if (focalIndex === -1) return null;
+    const author = posts[focalIndex].author;
+
+    let first = focalIndex;
+    while (first > 0 && posts[first - 1].author.handle === author.handle) first--;
+    let last = focalIndex;
+    while (last + 1 < posts.length && posts[last + 1].author.handle === author.handle) last++;
+    const thread = posts.slice(first, last + 1);
+
+    const blocks = thread.map((post, i) => {
+      const label = thread.length > 1 ? `${i + 1}/${thread.length} · ` : "";
+      return [
+        `### [${label}${formatDateTime(post.time) || "Post"}](${post.permalink})`,
+        postBody(post),
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+    });
+
+    const opening = plainText(thread[0].markdown);
+    return {
+      type: "thread",
+      title: `${author.name || author.handle}: ${truncate(opening, 80)}`,
+      url: thread[0].permalink,
+      author: author.name || author.handle,
+      authors: [{ name: author.name || author.handle, url: author.url }],
+      excerpt: truncate(opening, 160),
+      featuredImage: "",
+      publishedAt: thread[0].time,
+      siteName: platform === "x" ? "X" : "Mastodon",
+      bodyMarkdown: blocks.join("\n\n"),
+      siteMetadata: {
+        platform: platform,
+        handle: author.handle,
+        post_count: thread.length,
+      },
+    };
+  }
+
+  function postBody(post) {
+    const parts = [post.markdown, ...post.media.map(mediaMarkdown)];
+    if (post.quote) {
+      const byline = `**${escapeMarkdown(post.quote.author.name)}** ${escapeMarkdown(post.quote.author.handle)}`;
+      const stamp = post.quote.time
+        ? post.quote.permalink
+          ? ` · [${formatDateTime(post.quote.time)}](${post.quote.permalink})`
+          : ` · ${formatDateTime(post.quote.time)}`
+        : "";
+      const quoted = [byline + stamp, post.quote.markdown, ...post.quote.media.map(mediaMarkdown)]
+        .filter(Boolean)
+        .join("\n\n");
+      parts.push(quoted.replace(/^/gm, "> ").replace(/^> $/gm, ">"));
+    }
+    return parts.filter(Boolean).join("\n\n");
+  }
+
+  function mediaMarkdown(media) {
+    const alt = escapeMarkdown(media.alt || (media.type === "video" ? "Video" : "Image"));
+    const image = `![${alt}](${media.url})`;
+    // A video can't be embedded; its poster links to it
+    return media.link ? `[${image}](${media.link})` : image;
+  }
+
+  // MARK: - X
+
+  function readXPost(article) {
+    const quoteEl = Array.from(article.querySelectorAll(X.quote)).find((el) =>
+      el.querySelector(X.userName)
+    );
+    const own = (selector) =>
+      Array.from(article.querySelectorAll(selector)).filter((el) => !quoteEl?.contains(el));
+
+    const time = own("time")[0];
+    const permalink = time?.closest("a")?.href || "";
+    const post = {
+      author: readXAuthor(own(X.userName)[0]),
+      time: time?.getAttribute("datetime") || "",
+      permalink: permalink,
+      markdown: textMarkdown(own(X.text)[0]),
+      media: readXMedia(own(X.photo), own(X.video), permalink),
+      quote: null,
+    };
+
+    if (quoteEl) {
+      const inQuote = (selector) => Array.from(quoteEl.querySelectorAll(selector));
+      const quoteTime = inQuote("time")[0];
+      post.quote = {
+        author: readXAuthor(inQuote(X.userName)[0]),
+        time: quoteTime?.getAttribute("datetime") || "",
+        permalink: quoteTime?.closest("a")?.href || "",
+        markdown: textMarkdown(inQuote(X.text)[0]),
+        media: readXMedia(inQuote(X.photo), inQuote(X.video), ""),
+      };
+    }
+    return post;
+  }
+
+  // "Name@handle·2h" → name, @handle and profile URL
+  function readXAuthor(el) {
+    const texts = el ? Array.from(el.querySelectorAll("span"), (span) => span.textContent.trim()) : [];
+    const handle = texts.find((text) => /^@\w+$/.test(text)) || "";
+    const name = texts.find((text) => text && text !== handle && !/^[@·]/.test(text)) || "";
+    return {
+      name: name,
+      handle: handle,
+      url: handle ? `https://x.com/${handle.slice(1)}` : "",
+    };
+  }
+
+  function readXMedia(images, videos, permalink) {
+    const media = images.map((img) => {
+      // Thumbnails are sized down; ask for the large rendition
+      const url = new URL(img.src);
+      if (url.searchParams.has("name")) url.searchParams.set("name", "large");
+      return { type: "image", url: url.href, alt: img.alt === "Image" ? "" : img.alt };
+    });
+    for (const video of videos) {
+      if (video.poster) media.push({ type: "video", url: video.poster, alt: "", link: permalink });
+    }
+    return media;
+  }
+
+  // MARK: - Mastodon
+
+  function readMastodonPost(el) {
+    const quoteEl = el.querySelector(MASTODON.quote);
+    const own = (selector) =>
+      Array.from(el.querySelectorAll(selector)).filter((node) => !quoteEl?.contains(node));
+
+    const post = readMastodonFields(own);
+    if (quoteEl) {
+      post.quote = readMastodonFields((selector) => Array.from(quoteEl.querySelectorAll(selector)));
+    }
+    return post;
+  }
+
+  function readMastodonFields(query) {
+    const link = query(MASTODON.permalink)[0];
+    const account = (query(MASTODON.account)[0]?.textContent || "").trim();
+    // Local accounts show as @user; qualify them with this server
+    const handle = account && !account.slice(1).includes("@") ? `${account}@${location.hostname}` : account;
+    const permalink = link?.href || "";
+
+    return {
+      author: {
+        name: (query(MASTODON.name)[0]?.textContent || "").trim(),
+        handle: handle,
+        url: permalink ? permalink.replace(/\/\d+$/, "") : "",
+      },
+      time: query("time")[0]?.getAttribute("datetime") || "",
+      permalink: permalink || location.href,
+      markdown: textMarkdown(query(MASTODON.text)[0]),
+      media: readMastodonMedia(query(MASTODON.media), query(MASTODON.video), permalink),
+      quote: null,
+    };
+  }
+
+  function readMastodonMedia(items, videos, permalink) {
+    const media = items
+      .map((item) => {
+        const img = item.querySelector("img");
+        const full = item.querySelector("a")?.href;
+        const url = full || img?.src;
+        return url && img ? { type: "image", url: url, alt: img.alt || "" } : null;
+      })
+      .filter(Boolean);
+    for (const video of videos) {
+      if (video.poster) media.push({ type: "video", url: video.poster, alt: "", link: permalink });
+    }
+    return media;
+  }
+
+  // MARK: - Helpers
+
+  // A post's text as Markdown, with emoji images turned back into text
+  function textMarkdown(el) {
+    if (!el) return "";
+    const clone = el.cloneNode(true);
+    clone.querySelectorAll('img.emoji, img.custom-emoji, img[src*="/emoji/"]').forEach((img) => {
+      img.replaceWith(img.alt || "");
+    });
+    return DuraMarkdown.htmlToMarkdown(clone.innerHTML, location.href).trim();
+  }
+
+  function plainText(markdown) {
+    return markdown
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/[\\*_`>#]/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function truncate(text, length) {
+    return text.length > length ? text.slice(0, length - 1).trimEnd() + "…" : text;
+  }
+})();
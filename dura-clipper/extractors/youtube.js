@@ -0,0 +1,201 @@
+// DURA Clipper — YouTube Extractor
+// Clips a YouTube watch page as a video note: title, channel, duration,
+// description, chapters and the transcript from the player's caption track.
+// Transcript paragraphs start with a timestamp linking back to that point in
+// the video (`&t=`). Requires extractors.js.
+//
+// The player data comes from the `ytInitialPlayerResponse` inline script.
+// YouTube navigates between videos without reloading, which leaves that
+// script describing the first video, so for any other video the watch page
+// is fetched again.
+
+(function () {
+  "use strict";
+
+  const {
+    register,
+    parseInlineJSON,
+    findScript,
+    escapeMarkdown,
+    plainTextToMarkdown,
+    formatTimestamp,
+  } = DuraExtractors;
+
+  const PLAYER_MARKER = "ytInitialPlayerResponse =";
+
+  // A transcript paragraph ends at a sentence break once it is this long...
+  const PARAGRAPH_MIN_SECONDS = 30;
+  // ...and at the next caption regardless once it is this long (automatic
+  // captions have no punctuation)
+  const PARAGRAPH_MAX_SECONDS = 60;
+
+  // Chapter lines in a description: "0:00 Intro", "1:02:03 - Q&A"
+  const CHAPTER_LINE = /^\(?((?:\d{1,2}:)?\d{1,2}:\d{2})\)?\s*[-–—:|]?\s+(.+)$/;
+
+  register({
+    name: "youtube",
+    matches: (url) =>
+      /(^|\.)youtube\.com$/.test(url.hostname) &&
+      url.pathname === "/watch" &&
+      url.searchParams.has("v"),
+    extract: extractVideo,
+  });
+
+  async function extractVideo(url) {
+    const videoId = url.searchParams.get("v");
+    const player = await playerResponse(videoId);
+    const details = player?.videoDetails;
+    if (!details) return null;
+
+    const micro = player.microformat?.playerMicroformatRenderer || {};
+    const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
+    const description = details.shortDescription || "";
+    const chapters = parseChapters(description);
+    const track = chooseCaptionTrack(player);
+    const captions = track ? await fetchCaptions(track) : [];
+
+    const sections = [];
+    if (description.trim()) {
+      sections.push("## Description\n\n" + plainTextToMarkdown(description));
+    }
+    if (chapters.length > 0) {
+      const items = chapters.map(
+        (c) => `- [${formatTimestamp(c.start)}](${timeLink(watchUrl, c.start)}) ${escapeMarkdown(c.title)}`
+      );
+      sections.push("## Chapters\n\n" + items.join("\n"));
+    }
+    if (captions.length > 0) {
+      sections.push("## Transcript\n\n" + transcriptMarkdown(captions, chapters, watchUrl));
+    }
+
+    const thumbnails = details.thumbnail?.thumbnails || [];
+    const siteMetadata = {
+      video_id: videoId,
+      channel: details.author || "",
+      channel_url: details.channelId ? `https://www.youtube.com/channel/${details.channelId}` : "",
+      duration: formatTimestamp(Number(details.lengthSeconds) || 0),
+    };
+    if (track) {
+      siteMetadata.transcript_language = track.languageCode;
+      siteMetadata.transcript_generated = track.kind === "asr";
+    }
+
+    return {
+      type: "video",
+      title: details.title || "",
+      url: watchUrl,
+      author: details.author || "",
+      authors: details.author ? [{ name: details.author }] : [],
+      excerpt: description.split(/\n\s*\n/)[0].replace(/\s+/g, " ").trim(),
+      featuredImage: thumbnails.length > 0 ? thumbnails[thumbnails.length - 1].url : "",
+      publishedAt: micro.publishDate || "",
+      siteName: "YouTube",
+      bodyMarkdown: sections.join("\n\n"),
+      siteMetadata: siteMetadata,
+    };
+  }
+
+  // MARK: - Player data
+
+  async function playerResponse(videoId) {
+    const inline = parseInlineJSON(findScript(PLAYER_MARKER), PLAYER_MARKER);
+    if (inline?.videoDetails?.videoId === videoId) return inline;
+
+    // Navigated here within YouTube: the inline data is for another video
+    const response = await fetch(`/watch?v=${encodeURIComponent(videoId)}`, {
+      credentials: "include",
+    });
+    if (!response.ok) return null;
+    const fetched = parseInlineJSON(await response.text(), PLAYER_MARKER);
+    return fetched?.videoDetails?.videoId === videoId ? fetched : null;
+  }
+
+  // Captions written by people beat automatic ones; among those, the
+  // browser's language wins
+  function chooseCaptionTrack(player) {
+    const tracks = player.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+    const language = (navigator.language || "en").split("-")[0];
+    const rank = (track) =>
+      (track.kind === "asr" ? 2 : 0) + (track.languageCode?.split("-")[0] === language ? 0 : 1);
+    return tracks.slice().sort((a, b) => rank(a) - rank(b))[0] || null;
+  }
+
+  // Caption cues as [{ start, text }], start in seconds. Empty when YouTube
+  // doesn't hand out the track.
+  async function fetchCaptions(track) {
+    try {
+      const url = new URL(track.baseUrl, location.origin);
+      url.searchParams.set("fmt", "json3");
+      const response = await fetch(url, { credentials: "include" });
+      if (!response.ok) return [];
+      const data = await response.json();
+      return (data.events || [])
+        .filter((event) => event.segs)
+        .map((event) => ({
+          start: (event.tStartMs || 0) / 1000,
+          text: event.segs.map((seg) => seg.utf8 || "").join("").replace(/\s+/g, " ").trim(),
+        }))
+        .filter((cue) => cue.text);
+    } catch (e) {
+      console.warn("DURA Clipper: couldn't load captions", e);
+      return [];
+    }
+  }
+
+  // MARK: - Markdown
+
+  // Chapters as [{ start, title }]. YouTube only treats description
+  // timestamps as chapters when the first one is 0:00, so the same rule
+  // applies here.
+  function parseChapters(description) {
+    const chapters = [];
+    for (const line of description.split("\n")) {
+      const match = line.trim().match(CHAPTER_LINE);
+      if (match) chapters.push({ start: parseTimestamp(match[1]), title: match[2].trim() });
+    }
+    return chapters.length >= 2 && chapters[0].start === 0 ? chapters : [];
+  }
+
+  function parseTimestamp(text) {
+    return text.split(":").reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  function transcriptMarkdown(captions, chapters, watchUrl) {
+    const blocks = [];
+    let paragraph = null;
+    let chapterIndex = -1;
+
+    const flush = () => {
+      if (!paragraph) return;
+      const stamp = `[${formatTimestamp(paragraph.start)}](${timeLink(watchUrl, paragraph.start)})`;
+      blocks.push(`${stamp} ${escapeMarkdown(paragraph.texts.join(" "))}`);
+      paragraph = null;
+    };
+
+    for (const cue of captions) {
+      // Start each chapter under its own heading
+      while (chapterIndex + 1 < chapters.length && cue.start >= chapters[chapterIndex + 1].start) {
+        flush();
+        chapterIndex++;
+        blocks.push(`### ${escapeMarkdown(chapters[chapterIndex].title)}`);
+      }
+
+      if (paragraph) {
+        const length = cue.start - paragraph.start;
+        const sentenceEnded = /[.!?…]["'”’)]*$/.test(paragraph.texts[paragraph.texts.length - 1]);
+        if (length >= PARAGRAPH_MAX_SECONDS || (length >= PARAGRAPH_MIN_SECONDS && sentenceEnded)) {
+          flush();
+        }
+      }
+      if (!paragraph) paragraph = { start: cue.start, texts: [] };
+      paragraph.texts.push(cue.text);
+    }
+    flush();
+
+    return blocks.join("\n\n");
+  }
+
+  function timeLink(watchUrl, seconds) {
+    return `${watchUrl}&t=${Math.floor(seconds)}s`;
+  }
+})();
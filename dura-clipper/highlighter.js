@@ -0,0 +1,554 @@
+// DURA Clipper — Highlighter
+// Marks passages on the live page in DURA's highlight colors, with an
+// optional note on each. Highlights are kept in chrome.storage.local per
+// page URL (without the fragment) and drawn again when the page loads, so
+// they survive a reload. Injected before content.js.
+//
+// Each highlight is stored with the exact text plus a little text on either
+// side, so it can be found again even if the page moved things around. At
+// clip time content.js brackets every highlight with markers that survive
+// Readability and Turndown; locate() turns them into offsets into the
+// Markdown body.
+//
+// While highlighting:
+//   Select text   highlight it in the current color
+//   Click a mark  change its color, edit its note or delete it
+//   Esc           close the note editor, then leave highlighting
+
+(function (global) {
+  "use strict";
+
+  const Z_INDEX = 2147483646;
+  const ACCENT = "#7c3aed";
+  const STORAGE_PREFIX = "highlights:";
+
+  // Same values as HighlightColor.cssColor in the app
+  const COLORS = {
+    yellow: "rgba(255, 214, 10, 0.35)",
+    green: "rgba(48, 209, 88, 0.35)",
+    blue: "rgba(10, 132, 255, 0.35)",
+    pink: "rgba(255, 55, 95, 0.35)",
+  };
+
+  // Text kept on each side of a highlight to tell repeated passages apart
+  const CONTEXT_LENGTH = 32;
+
+  // Pages that render late get a few more chances to show their highlights
+  const RESTORE_RETRIES_MS = [1000, 3000];
+
+  // Private-use characters bracketing highlight i in extracted content:
+  // OPEN + tag(i) ... CLOSE + tag(i)
+  const MARKER_OPEN = "\uE000";
+  const MARKER_CLOSE = "\uE001";
+  const MARKER_TAG_BASE = 0xe100;
+  const MARKER_PATTERN = /[\uE000\uE001][\uE100-\uF8FF]/g;
+
+  const SKIPPED_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEXTAREA", "TEMPLATE"]);
+
+  let highlights = [];
+  let active = false;
+  let color = "yellow";
+  let toolbar = null;
+  let editor = null;
+
+  // MARK: - Storage
+
+  function storageKey() {
+    return STORAGE_PREFIX + location.href.split("#")[0];
+  }
+
+  async function load() {
+    const key = storageKey();
+    const { [key]: stored } = await chrome.storage.local.get(key);
+    return stored || [];
+  }
+
+  async function save() {
+    const key = storageKey();
+    if (highlights.length > 0) {
+      await chrome.storage.local.set({ [key]: highlights });
+    } else {
+      await chrome.storage.local.remove(key);
+    }
+  }
+
+  // Draws the stored highlights; called once the page has loaded
+  async function restore() {
+    highlights = await load();
+    if (highlights.length === 0) return;
+
+    let missing = drawMissing();
+    for (const delay of RESTORE_RETRIES_MS) {
+      if (missing === 0) break;
+      await new Promise((r) => setTimeout(r, delay));
+      missing = drawMissing();
+    }
+  }
+
+  function drawMissing() {
+    let missing = 0;
+    for (const highlight of highlights) {
+      if (marksFor(highlight.id).length > 0) continue;
+      const range = findText(highlight);
+      if (range) {
+        wrap(range.start, range.end, highlight);
+      } else {
+        missing++;
+      }
+    }
+    return missing;
+  }
+
+  // MARK: - Highlighting mode
+
+  function start() {
+    if (active) return;
+    active = true;
+    toolbar = createToolbar();
+    document.documentElement.appendChild(toolbar);
+    document.addEventListener("mouseup", onMouseUp, true);
+    document.addEventListener("click", onClick, true);
+    document.addEventListener("keydown", onKeyDown, true);
+  }
+
+  function stop() {
+    if (!active) return;
+    active = false;
+    document.removeEventListener("mouseup", onMouseUp, true);
+    document.removeEventListener("click", onClick, true);
+    document.removeEventListener("keydown", onKeyDown, true);
+    closeEditor();
+    toolbar?.remove();
+    toolbar = null;
+  }
+
+  function count() {
+    return highlights.length;
+  }
+
+  function onMouseUp(e) {
+    if (isHighlighterUI(e.target)) return;
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || !selection.toString().trim()) return;
+
+    const range = selection.getRangeAt(0);
+    const index = buildTextIndex();
+    const start = pointToOffset(index, range.startContainer, range.startOffset);
+    const end = pointToOffset(index, range.endContainer, range.endOffset);
+    selection.removeAllRanges();
+    if (start >= end) return;
+
+    const text = index.text.slice(start, end);
+    const highlight = {
+      id: uuid(),
+      text: text,
+      prefix: index.text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+      suffix: index.text.slice(end, end + CONTEXT_LENGTH),
+      color: color,
+      note: "",
+      createdAt: new Date().toISOString(),
+    };
+    highlights.push(highlight);
+    wrap(start, end, highlight, index);
+    save();
+  }
+
+  function onClick(e) {
+    if (isHighlighterUI(e.target)) return;
+    const mark = e.target.closest?.("[data-dura-highlight]");
+    if (!mark) {
+      closeEditor();
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    openEditor(mark.dataset.duraHighlight, mark);
+  }
+
+  function onKeyDown(e) {
+    if (e.key !== "Escape") return;
+    if (editor) {
+      closeEditor();
+    } else {
+      stop();
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  // MARK: - Editing highlights
+
+  function updateHighlight(id, changes) {
+    const highlight = highlights.find((h) => h.id === id);
+    if (!highlight) return;
+    Object.assign(highlight, changes);
+    for (const mark of marksFor(id)) {
+      styleMark(mark, highlight);
+    }
+    save();
+  }
+
+  function removeHighlight(id) {
+    highlights = highlights.filter((h) => h.id !== id);
+    for (const mark of marksFor(id)) {
+      const parent = mark.parentNode;
+      mark.replaceWith(...mark.childNodes);
+      parent.normalize();
+    }
+    save();
+  }
+
+  function openEditor(id, mark) {
+    closeEditor();
+    const highlight = highlights.find((h) => h.id === id);
+    if (!highlight) return;
+
+    editor = createPanel();
+    const rect = mark.getBoundingClientRect();
+    Object.assign(editor.style, {
+      top: Math.min(rect.bottom + 6, window.innerHeight - 160) + "px",
+      left: Math.max(8, Math.min(rect.left, window.innerWidth - 280)) + "px",
+      width: "260px",
+    });
+
+    editor.appendChild(
+      createSwatches(highlight.color, (value) => updateHighlight(id, { color: value }))
+    );
+
+    const note = document.createElement("textarea");
+    note.value = highlight.note || "";
+    note.placeholder = "Add a note…";
+    note.rows = 3;
+    Object.assign(note.style, {
+      display: "block",
+      width: "100%",
+      margin: "8px 0",
+      boxSizing: "border-box",
+      background: "#0f0f1e",
+      color: "#e0e0e0",
+      border: "1px solid #333",
+      borderRadius: "4px",
+      padding: "6px",
+      font: "inherit",
+      resize: "vertical",
+    });
+    editor.appendChild(note);
+
+    const buttons = document.createElement("div");
+    Object.assign(buttons.style, { display: "flex", justifyContent: "space-between" });
+    buttons.appendChild(
+      createButton("Delete", () => {
+        removeHighlight(id);
+        closeEditor();
+      })
+    );
+    buttons.appendChild(
+      createButton("Save", () => {
+        updateHighlight(id, { note: note.value.trim() });
+        closeEditor();
+      })
+    );
+    editor.appendChild(buttons);
+
+    document.documentElement.appendChild(editor);
+    note.focus();
+  }
+
+  function closeEditor() {
+    editor?.remove();
+    editor = null;
+  }
+
+  // MARK: - Text index
+
+  // The page's visible text as one string, with the text node each part came
+  // from. Offsets into `text` are how highlights are found and drawn.
+  function buildTextIndex() {
+    const nodes = [];
+    let text = "";
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        if (!parent || SKIPPED_TAGS.has(parent.tagName) || isHighlighterUI(parent)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      },
+    });
+    while (walker.nextNode()) {
+      nodes.push({ node: walker.currentNode, start: text.length });
+      text += walker.currentNode.data;
+    }
+    return { text, nodes };
+  }
+
+  // Offset in the index of a DOM boundary point (as found on a Range)
+  function pointToOffset(index, container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+      const entry = index.nodes.find((n) => n.node === container);
+      if (entry) return entry.start + offset;
+    }
+    // An element boundary: the first indexed text node at or after it
+    const boundary = document.createRange();
+    boundary.setStart(container, offset);
+    for (const entry of index.nodes) {
+      if (boundary.comparePoint(entry.node, 0) >= 0) return entry.start;
+    }
+    return index.text.length;
+  }
+
+  // Where a stored highlight's text is now: the occurrence whose surrounding
+  // text matches best. Null when the text is gone from the page.
+  function findText(highlight) {
+    const { text } = buildTextIndex();
+    let best = null;
+    let bestScore = -1;
+    for (let at = text.indexOf(highlight.text); at !== -1; at = text.indexOf(highlight.text, at + 1)) {
+      const end = at + highlight.text.length;
+      const score =
+        commonSuffixLength(text.slice(Math.max(0, at - CONTEXT_LENGTH), at), highlight.prefix || "") +
+        commonPrefixLength(text.slice(end, end + CONTEXT_LENGTH), highlight.suffix || "");
+      if (score > bestScore) {
+        best = { start: at, end };
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  function commonPrefixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    return i;
+  }
+
+  function commonSuffixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[a.length - 1 - i] === b[b.length - 1 - i]) i++;
+    return i;
+  }
+
+  // Wraps the text between two index offsets in marks, one per text node
+  function wrap(start, end, highlight, index) {
+    index = index || buildTextIndex();
+    for (const entry of index.nodes) {
+      const nodeEnd = entry.start + entry.node.data.length;
+      if (nodeEnd <= start || entry.start >= end) continue;
+
+      let node = entry.node;
+      const from = Math.max(start, entry.start) - entry.start;
+      const to = Math.min(end, nodeEnd) - entry.start;
+      if (!node.data.slice(from, to).trim()) continue;
+
+      if (to < node.data.length) node.splitText(to);
+      if (from > 0) node = node.splitText(from);
+
+      const mark = document.createElement("mark");
+      mark.dataset.duraHighlight = highlight.id;
+      styleMark(mark, highlight);
+      node.replaceWith(mark);
+      mark.appendChild(node);
+    }
+  }
+
+  function styleMark(mark, highlight) {
+    mark.style.background = COLORS[highlight.color] || COLORS.yellow;
+    mark.style.color = "inherit";
+    mark.style.borderRadius = "2px";
+    mark.title = highlight.note || "";
+  }
+
+  function marksFor(id) {
+    return Array.from(document.querySelectorAll("[data-dura-highlight]")).filter(
+      (mark) => mark.dataset.duraHighlight === id
+    );
+  }
+
+  // MARK: - Export
+
+  // Runs `extract` with every drawn highlight bracketed by marker characters
+  // in the live page, so whatever it copies or converts carries them along.
+  // The markers are removed again before returning.
+  function withMarkers(extract) {
+    const inserted = [];
+    highlights.forEach((highlight, i) => {
+      const marks = marksFor(highlight.id);
+      if (marks.length === 0) return;
+      const tag = String.fromCharCode(MARKER_TAG_BASE + i);
+      const open = document.createTextNode(MARKER_OPEN + tag);
+      const close = document.createTextNode(MARKER_CLOSE + tag);
+      marks[0].prepend(open);
+      marks[marks.length - 1].append(close);
+      inserted.push(open, close);
+    });
+
+    try {
+      return extract();
+    } finally {
+      // Normalizing merges text nodes, so only once every marker is out
+      const parents = new Set(inserted.map((node) => node.parentNode));
+      inserted.forEach((node) => node.remove());
+      parents.forEach((parent) => parent?.normalize());
+    }
+  }
+
+  // Finds the marked highlights in `markdown`. Returns the Markdown without
+  // markers and, for each highlight found whole, its offsets in it (UTF-16
+  // code units, as DURA counts them).
+  function locate(markdown) {
+    const found = new Map();
+    let clean = "";
+    let last = 0;
+    for (const match of markdown.matchAll(MARKER_PATTERN)) {
+      clean += markdown.slice(last, match.index);
+      last = match.index + match[0].length;
+
+      const i = match[0].charCodeAt(1) - MARKER_TAG_BASE;
+      if (match[0][0] === MARKER_OPEN) {
+        if (!found.has(i)) found.set(i, { start: clean.length });
+      } else if (found.has(i)) {
+        found.get(i).end = clean.length;
+      }
+    }
+    clean += markdown.slice(last);
+
+    const located = [];
+    for (const [i, { start, end }] of found) {
+      const highlight = highlights[i];
+      if (!highlight || end === undefined || end <= start) continue;
+      located.push({
+        id: highlight.id,
+        text: clean.slice(start, end),
+        start: start,
+        length: end - start,
+        color: highlight.color,
+        note: highlight.note || "",
+        createdAt: highlight.createdAt,
+      });
+    }
+    located.sort((a, b) => a.start - b.start);
+    return { markdown: clean, highlights: located };
+  }
+
+  // Removes highlight markers from text that isn't the Markdown body
+  // (titles, excerpts, HTML)
+  function stripMarkers(text) {
+    return typeof text === "string" ? text.replace(MARKER_PATTERN, "") : text;
+  }
+
+  // MARK: - UI
+
+  function createToolbar() {
+    const bar = createPanel();
+    Object.assign(bar.style, {
+      bottom: "16px",
+      left: "50%",
+      transform: "translateX(-50%)",
+      display: "flex",
+      alignItems: "center",
+      gap: "10px",
+    });
+
+    const label = document.createElement("span");
+    label.textContent = "DURA: select text to highlight · click a highlight to add a note";
+    bar.appendChild(label);
+    bar.appendChild(
+      createSwatches(color, (value) => {
+        color = value;
+      })
+    );
+    bar.appendChild(createButton("Done", stop));
+    return bar;
+  }
+
+  function createPanel() {
+    const panel = document.createElement("div");
+    panel.className = "dura-highlighter-ui";
+    Object.assign(panel.style, {
+      position: "fixed",
+      zIndex: String(Z_INDEX + 1),
+      background: "#1a1a2e",
+      color: "#e0e0e0",
+      border: "1px solid " + ACCENT,
+      borderRadius: "8px",
+      padding: "8px 14px",
+      font: '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      boxShadow: "0 4px 16px rgba(0, 0, 0, 0.4)",
+    });
+    return panel;
+  }
+
+  function createSwatches(selected, onSelect) {
+    const row = document.createElement("div");
+    Object.assign(row.style, { display: "flex", gap: "6px" });
+    for (const [name, value] of Object.entries(COLORS)) {
+      const swatch = document.createElement("button");
+      swatch.type = "button";
+      swatch.title = name[0].toUpperCase() + name.slice(1);
+      Object.assign(swatch.style, {
+        width: "18px",
+        height: "18px",
+        padding: "0",
+        borderRadius: "50%",
+        cursor: "pointer",
+        background: value.replace("0.35", "0.9"),
+        border: name === selected ? "2px solid #fff" : "2px solid transparent",
+      });
+      swatch.addEventListener("click", () => {
+        row.querySelectorAll("button").forEach((b) => {
+          b.style.borderColor = "transparent";
+        });
+        swatch.style.borderColor = "#fff";
+        onSelect(name);
+      });
+      row.appendChild(swatch);
+    }
+    return row;
+  }
+
+  function createButton(text, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = text;
+    Object.assign(button.style, {
+      background: "transparent",
+      color: "#c4b5fd",
+      border: "1px solid " + ACCENT,
+      borderRadius: "4px",
+      padding: "3px 10px",
+      font: "inherit",
+      cursor: "pointer",
+    });
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  function isHighlighterUI(el) {
+    return !!el?.closest?.(".dura-highlighter-ui");
+  }
+
+  // crypto.randomUUID is missing on insecure (http) pages
+  function uuid() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+    return [
+      hex.slice(0, 8),
+      hex.slice(8, 12),
+      hex.slice(12, 16),
+      hex.slice(16, 20),
+      hex.slice(20),
+    ].join("-");
+  }
+
+  global.DuraHighlighter = {
+    restore,
+    start,
+    stop,
+    count,
+    withMarkers,
+    locate,
+    stripMarkers,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,72 @@
+// DURA Clipper — Clip History
+// Imported into the background service worker. Records every delivered clip
+// in chrome.storage.local so clips.html can search past clips, download them
+// again or re-clip the page. The index (`clipHistory`) holds the metadata;
+// each clip's Markdown is stored under its own key so searching the index
+// doesn't load every file.
+
+(function (global) {
+  "use strict";
+
+  const STORAGE_KEY = "clipHistory";
+  const CONTENT_PREFIX = "clipContent:";
+
+  // Oldest entries (and their Markdown) are dropped past this many clips
+  const MAX_ENTRIES = 1000;
+
+  // Adds a delivered clip to the history. `markdown` is the file as built
+  // with remote image URLs, so a re-download doesn't depend on assets/.
+  async function record(entry, markdown) {
+    const id = crypto.randomUUID();
+    const { [STORAGE_KEY]: history = [] } = await chrome.storage.local.get(STORAGE_KEY);
+
+    history.unshift({ id, ...entry });
+    const dropped = history.splice(MAX_ENTRIES);
+
+    await chrome.storage.local.set({
+      [STORAGE_KEY]: history,
+      [CONTENT_PREFIX + id]: markdown,
+    });
+    if (dropped.length > 0) {
+      await chrome.storage.local.remove(dropped.map((old) => CONTENT_PREFIX + old.id));
+    }
+    return id;
+  }
+
+  async function getEntry(id) {
+    const { [STORAGE_KEY]: history = [] } = await chrome.storage.local.get(STORAGE_KEY);
+    return history.find((entry) => entry.id === id) || null;
+  }
+
+  async function getContent(id) {
+    const key = CONTENT_PREFIX + id;
+    const { [key]: markdown } = await chrome.storage.local.get(key);
+    return markdown || null;
+  }
+
+  async function remove(id) {
+    const { [STORAGE_KEY]: history = [] } = await chrome.storage.local.get(STORAGE_KEY);
+    await chrome.storage.local.set({
+      [STORAGE_KEY]: history.filter((entry) => entry.id !== id),
+    });
+    await chrome.storage.local.remove(CONTENT_PREFIX + id);
+  }
+
+  // SHA-256 of `text` as hex; used to tell whether a re-clip changed
+  async function contentHash(text) {
+    const bytes = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  global.DuraHistory = {
+    STORAGE_KEY,
+    record,
+    getEntry,
+    getContent,
+    remove,
+    contentHash,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -376,4 +376,4 @@ exports.tables = tables;
 exports.taskListItems = taskListItems;
 
 global.turndownPluginGfm = exports;
-})(typeof globalThis \!== "undefined" ? globalThis : typeof self \!== "undefined" ? self : this);
+})(typeof globalThis !== "undefined" ? globalThis : typeof self !== "undefined" ? self : this);
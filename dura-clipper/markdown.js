@@ -0,0 +1,764 @@
+// DURA Clipper — HTML → Markdown Conversion
+// Injected into pages after lib/turndown.js and lib/turndown-plugin-gfm.js so
+// that the popup and the context menu share a single conversion pipeline.
+//
+// Footnote references and the notes they point to become Markdown footnotes:
+// `[^1]` in the text and `[^1]: ...` definitions at the end.
+//
+// Code blocks keep their language, read from wherever the page's highlighter
+// put it, and lose the line-number gutters and copy buttons highlighters add.
+//
+// Rendered math (KaTeX, MathJax 2 and 3, MathML, Wikipedia's math markup) is
+// written as LaTeX: `$...$` inline and `$$...$$` on its own lines. The TeX
+// comes from the source the renderer keeps next to its output (KaTeX's
+// annotation, MathJax 2's script, `alttext`) or, failing that, is rebuilt
+// from the MathML.
+
+(function (global) {
+  "use strict";
+
+  function htmlToMarkdown(html, pageUrl) {
+    const turndownService = new TurndownService({
+      headingStyle: "atx",
+      codeBlockStyle: "fenced",
+      bulletListMarker: "-",
+    });
+
+    // Use GFM plugin for tables
+    if (typeof turndownPluginGfm !== "undefined") {
+      turndownService.use(turndownPluginGfm.gfm);
+    }
+
+    // Dollar signs in the text are escaped so they can't pair up with each
+    // other or with the math rule's `$...$` ("$5 and $x^2$")
+    const escapeText = turndownService.escape.bind(turndownService);
+    turndownService.escape = function (text) {
+      return escapeText(text).replace(/\$/g, "\\$");
+    };
+
+    // Demote H1 → H2 (title is already the # heading)
+    turndownService.addRule("demoteH1", {
+      filter: ["h1"],
+      replacement: function (content) {
+        return "\n\n## " + content.trim() + "\n\n";
+      },
+    });
+
+    // Strip scripts, styles, iframes (except YouTube/Vimeo)
+    turndownService.addRule("stripScripts", {
+      filter: ["script", "style", "noscript"],
+      replacement: function () {
+        return "";
+      },
+    });
+
+    turndownService.addRule("iframes", {
+      filter: function (node) {
+        return node.nodeName === "IFRAME";
+      },
+      replacement: function (_content, node) {
+        const src = node.getAttribute("src") || "";
+        if (
+          src.includes("youtube.com") ||
+          src.includes("youtu.be") ||
+          src.includes("vimeo.com")
+        ) {
+          return "\n\n" + src + "\n\n";
+        }
+        return "";
+      },
+    });
+
+    // Resolve relative URLs
+    turndownService.addRule("absoluteLinks", {
+      filter: function (node) {
+        return (
+          node.nodeName === "A" &&
+          node.getAttribute("href") &&
+          !node.getAttribute("href").startsWith("http") &&
+          !node.getAttribute("href").startsWith("#") &&
+          !node.getAttribute("href").startsWith("mailto:")
+        );
+      },
+      replacement: function (content, node) {
+        const href = node.getAttribute("href");
+        try {
+          const absoluteUrl = new URL(href, pageUrl).href;
+          return "[" + content + "](" + absoluteUrl + ")";
+        } catch {
+          return content;
+        }
+      },
+    });
+
+    turndownService.addRule("absoluteImages", {
+      filter: function (node) {
+        return (
+          node.nodeName === "IMG" &&
+          node.getAttribute("src") &&
+          !node.getAttribute("src").startsWith("http") &&
+          !node.getAttribute("src").startsWith("data:")
+        );
+      },
+      replacement: function (_content, node) {
+        const src = node.getAttribute("src");
+        const alt = node.getAttribute("alt") || "";
+        try {
+          const absoluteUrl = new URL(src, pageUrl).href;
+          return "![" + alt + "](" + absoluteUrl + ")";
+        } catch {
+          return "";
+        }
+      },
+    });
+
+    // Copy buttons and toolbars around code blocks
+    turndownService.addRule("codeChrome", {
+      filter: function (node) {
+        return node.nodeType === 1 && isCodeChrome(node);
+      },
+      replacement: function () {
+        return "";
+      },
+    });
+
+    // Line numbers outside the <pre> they count
+    turndownService.addRule("codeGutters", {
+      filter: function (node) {
+        return node.nodeType === 1 && node.matches(CODE_GUTTERS) && /^[\d\s]*$/.test(node.textContent);
+      },
+      replacement: function () {
+        return "";
+      },
+    });
+
+    // Any <pre>, with its language and without gutters. Also claims the
+    // wrapper the GFM plugin would convert itself, for the same result.
+    turndownService.addRule("codeBlocks", {
+      filter: function (node) {
+        if (node.nodeName === "PRE") return !node.closest(CODE_GUTTERS);
+        return (
+          node.nodeName === "DIV" &&
+          /\bhighlight-(source|text)-/.test(node.className) &&
+          !!node.firstElementChild &&
+          node.firstElementChild.nodeName === "PRE"
+        );
+      },
+      replacement: function (_content, node) {
+        return codeBlockMarkdown(node.nodeName === "PRE" ? node : node.firstElementChild);
+      },
+    });
+
+    // Pygments and friends put line numbers and code in a two-cell table
+    turndownService.addRule("codeTables", {
+      filter: function (node) {
+        return node.nodeName === "TABLE" && !!codeTablePre(node);
+      },
+      replacement: function (_content, node) {
+        return codeBlockMarkdown(codeTablePre(node));
+      },
+    });
+
+    turndownService.addRule("footnoteReferences", {
+      filter: function (node) {
+        return node.nodeType === 1 && node.hasAttribute("data-dura-footnote");
+      },
+      replacement: function (_content, node) {
+        return "[^" + node.getAttribute("data-dura-footnote") + "]";
+      },
+    });
+
+    // Registered last so it wins over the script and image rules
+    turndownService.addRule("math", {
+      filter: function (node) {
+        return node.nodeType === 1 && node.matches(MATH_ROOTS);
+      },
+      replacement: function (_content, node) {
+        const math = mathSource(node);
+        if (!math.tex) return "";
+        return math.display ? "\n\n$$\n" + math.tex + "\n$$\n\n" : "$" + math.tex + "$";
+      },
+    });
+
+    const root = new DOMParser().parseFromString(html, "text/html").body;
+    const footnotes = extractFootnotes(root);
+    let md = turndownService.turndown(root);
+
+    if (footnotes.length > 0) {
+      const definitions = footnotes.map((note) => {
+        const text = turndownService
+          .turndown(note.content)
+          .replace(/^\s*\^\s*/, "")
+          .replace(/\s*↩\uFE0E?\s*$/, "")
+          .trim();
+        // Later paragraphs of a note are indented under its first line
+        return `[^${note.label}]: ` + text.replace(/\n(?=.)/g, "\n    ");
+      });
+      md += "\n\n" + definitions.join("\n");
+    }
+
+    // Collapse excessive blank lines (max 2)
+    md = md.replace(/\n{3,}/g, "\n\n");
+
+    return md.trim();
+  }
+
+  // MARK: - Footnotes
+
+  // Class names and ids footnote markup is recognizable by
+  const FOOTNOTE_HINT = /(^|[\s_:-])(fn|footnote|endnote|note|cite|ref)/i;
+
+  // Headings over a list of notes that goes away with them
+  const FOOTNOTE_HEADING = /^(foot|end)?notes$|^references$/i;
+
+  // Pairs each footnote reference under `root` with its note. References
+  // are replaced by placeholders the footnoteReferences rule writes as
+  // `[^label]`, and the notes are removed. Returns [{ label, content }] in
+  // order of first reference, `content` being a detached copy of the note.
+  //
+  // A reference is an in-page link with a short label (`1`, `[2]`, `a`, `*`)
+  // to an element later in the page, marked as a footnote by a <sup>, a
+  // `data-footnote-ref` attribute or a footnote-ish class or id. Covers
+  // Wikipedia's references, Substack's footnotes, and the markup of Pandoc,
+  // GitHub and most Markdown renderers.
+  function extractFootnotes(root) {
+    const byId = new Map(Array.from(root.querySelectorAll("[id]"), (el) => [el.id, el]));
+    const notes = new Map();
+    const references = [];
+
+    for (const link of root.querySelectorAll('a[href^="#"]')) {
+      let id;
+      try {
+        id = decodeURIComponent(link.getAttribute("href").slice(1));
+      } catch {
+        continue;
+      }
+      const target = byId.get(id);
+      if (!target || !isFootnoteReference(link, target)) continue;
+      const note = noteElement(target);
+      if (note.contains(link) || !note.textContent.trim()) continue;
+
+      if (!notes.has(note)) {
+        notes.set(note, { label: footnoteLabel(link, notes), target: target });
+      }
+      references.push({ link, note });
+    }
+    if (references.length === 0) return [];
+
+    // Copies without the links back to the text or the note's own number
+    const referenceIds = new Set();
+    for (const { link } of references) {
+      for (let el = link; el && el !== root; el = el.parentElement) {
+        if (el.id) referenceIds.add(el.id);
+        if (el.nodeName === "SUP") break;
+      }
+    }
+    const footnotes = [];
+    for (const [note, { label, target }] of notes) {
+      const content = note.cloneNode(true);
+      content.querySelectorAll('a[href^="#"]').forEach((a) => {
+        if (referenceIds.has(a.getAttribute("href").slice(1))) a.remove();
+      });
+      if (target !== note) content.querySelector(`[id="${target.id}"]`)?.remove();
+      content.querySelectorAll(".mw-cite-backlink, .footnote-back, [data-footnote-backref]").forEach(
+        (el) => el.remove()
+      );
+      footnotes.push({ label, content });
+    }
+
+    for (const { link, note } of references) {
+      const sup = link.parentElement;
+      const reference = sup && sup.nodeName === "SUP" && sup.textContent.trim() === link.textContent.trim()
+        ? sup
+        : link;
+      const placeholder = root.ownerDocument.createElement("span");
+      placeholder.setAttribute("data-dura-footnote", notes.get(note).label);
+      placeholder.textContent = notes.get(note).label;
+      reference.replaceWith(placeholder);
+    }
+    for (const note of notes.keys()) removeNote(note, root);
+
+    return footnotes;
+  }
+
+  function isFootnoteReference(link, target) {
+    const text = link.textContent.trim().replace(/^\[|\]$/g, "");
+    if (!text || text.length > 8) return false;
+    // The note comes after the reference
+    if (!(link.compareDocumentPosition(target) & Node.DOCUMENT_POSITION_FOLLOWING)) return false;
+    return (
+      !!link.closest("sup") ||
+      !!link.querySelector("sup") ||
+      link.hasAttribute("data-footnote-ref") ||
+      FOOTNOTE_HINT.test(`${link.className} ${link.id} ${target.id}`)
+    );
+  }
+
+  // The element holding the note's text. Some sites link to the note's
+  // number rather than the note.
+  function noteElement(target) {
+    const el = /^(A|SUP|SPAN)$/.test(target.nodeName) ? target.parentElement : target;
+    return el.closest("li") || el;
+  }
+
+  // The reference's own label when it makes a usable one, else its number
+  function footnoteLabel(link, notes) {
+    const used = new Set(Array.from(notes.values(), (note) => note.label));
+    let label = link.textContent.trim().replace(/^\[|\]$/g, "").replace(/\s+/g, "-");
+    if (!/^[\w-]+$/.test(label)) label = String(notes.size + 1);
+    for (let n = 2; used.has(label); n++) label = `${label.replace(/-\d+$/, "")}-${n}`;
+    return label;
+  }
+
+  // Removes a note, and the list and heading it leaves empty
+  function removeNote(note, root) {
+    let parent = note.parentElement;
+    note.remove();
+    while (parent && parent !== root && isEmptyOfNotes(parent)) {
+      const heading = parent.previousElementSibling;
+      if (heading && /^H[1-6]$/.test(heading.nodeName) && FOOTNOTE_HEADING.test(heading.textContent.trim())) {
+        heading.remove();
+      }
+      const next = parent.parentElement;
+      parent.remove();
+      parent = next;
+    }
+  }
+
+  function isEmptyOfNotes(el) {
+    if (el.querySelector("img, video, iframe")) return false;
+    let text = el.textContent;
+    el.querySelectorAll("h1, h2, h3, h4, h5, h6").forEach((heading) => {
+      text = text.replace(heading.textContent, "");
+    });
+    return !text.trim();
+  }
+
+  // MARK: - Code
+
+  // Line numbers highlighters render next to or inside the code
+  const CODE_GUTTERS = [
+    ".linenos",
+    ".lineno",
+    ".line-numbers-rows",
+    ".hljs-ln-numbers",
+    ".react-syntax-highlighter-line-number",
+    ".rouge-gutter",
+    ".gutter",
+    ".cm-gutters",
+    "td.blob-num",
+  ].join(", ");
+
+  // Plain <button>s only count when they belong to a code block, see
+  // isCodeChrome
+  const CODE_CHROME = [
+    "clipboard-copy",
+    ".zeroclipboard-container",
+    ".code-toolbar > .toolbar",
+    '[class*="copy-button"]',
+    '[class*="copy-code"]',
+  ].join(", ");
+
+  // GitHub's grammar scopes whose usual fence name differs from the suffix
+  const CODE_SCOPES = {
+    "source-js": "javascript",
+    "source-ts": "typescript",
+    "source-c++": "cpp",
+    "source-cs": "csharp",
+    "source-objc": "objectivec",
+    "text-html-basic": "html",
+    "text-md": "markdown",
+    "text-xml": "xml",
+  };
+
+  // Class names that say "no language"
+  const PLAIN_LANGUAGES = new Set([
+    "none", "plain", "plaintext", "text", "default", "nohighlight", "no-highlight",
+  ]);
+
+  // Readability drops the class names languages and gutters are marked
+  // with. Replaces each code block under `root` with a plain
+  // <pre data-lang><code> holding just the code, and removes copy buttons.
+  function preserveCode(root) {
+    for (const table of root.querySelectorAll("table")) {
+      const pre = codeTablePre(table);
+      if (!pre) continue;
+      const language = codeLanguage(pre);
+      if (language) pre.setAttribute("data-lang", language);
+      table.replaceWith(pre);
+    }
+
+    for (const pre of root.querySelectorAll("pre")) {
+      if (pre.closest(CODE_GUTTERS)) continue;
+      const plain = pre.ownerDocument.createElement("pre");
+      const code = pre.ownerDocument.createElement("code");
+      const language = codeLanguage(pre);
+      if (language) plain.setAttribute("data-lang", language);
+      code.textContent = codeText(pre).replace(/\n+$/, "");
+      plain.appendChild(code);
+      pre.replaceWith(plain);
+    }
+
+    root.querySelectorAll(`${CODE_CHROME}, button`).forEach((el) => {
+      if (isCodeChrome(el)) el.remove();
+    });
+  }
+
+  // A copy button or toolbar of a code block. A <button> is one when it sits
+  // in a <pre>, or in a wrapper that holds nothing but a <pre> and buttons
+  // (possibly in a toolbar of their own); buttons in running text are kept.
+  function isCodeChrome(el) {
+    if (el.matches(CODE_CHROME)) return true;
+    if (el.nodeName !== "BUTTON") return false;
+    if (el.closest("pre")) return true;
+    for (let node = el.parentElement, depth = 0; node && depth < 4; node = node.parentElement, depth++) {
+      if (!holdsOnlyCodeAndButtons(node)) return false;
+      if (node.querySelector(":scope > pre")) return true;
+    }
+    return false;
+  }
+
+  function holdsOnlyCodeAndButtons(node) {
+    const clone = node.cloneNode(true);
+    clone.querySelectorAll("pre, button").forEach((el) => el.remove());
+    return !clone.textContent.trim();
+  }
+
+  // The code <pre> of a table that pairs it with a line-number gutter
+  function codeTablePre(table) {
+    if (!table.querySelector(CODE_GUTTERS)) return null;
+    return Array.from(table.querySelectorAll("pre")).find((pre) => !pre.closest(CODE_GUTTERS)) || null;
+  }
+
+  function codeBlockMarkdown(pre) {
+    const code = codeText(pre).replace(/\n+$/, "");
+    const language = codeLanguage(pre);
+
+    // A fence longer than any run of backticks in the code
+    const longest = Math.max(2, ...(code.match(/^`{3,}/gm) || []).map((run) => run.length));
+    const fence = "`".repeat(longest + 1);
+    return "\n\n" + fence + language + "\n" + code + "\n" + fence + "\n\n";
+  }
+
+  // The code's text without gutters or buttons. Highlighters that render one
+  // element per line (table rows, block-level lines) get their newlines back.
+  function codeText(pre) {
+    const clone = pre.cloneNode(true);
+    clone.querySelectorAll(`${CODE_GUTTERS}, ${CODE_CHROME}, button`).forEach((el) => el.remove());
+
+    const rows = clone.querySelectorAll("tr");
+    if (rows.length > 0) {
+      return Array.from(rows, (row) => row.textContent.replace(/\n$/, "")).join("\n");
+    }
+    const lines = clone.querySelectorAll("div.line, div.cm-line, div.code-line, div.view-line");
+    if (lines.length > 0 && !clone.textContent.includes("\n")) {
+      return Array.from(lines, (line) => line.textContent).join("\n");
+    }
+    return clone.textContent;
+  }
+
+  // The language named on the code, the <pre> or a wrapper around it:
+  // `language-*` and `lang-*` (Prism, highlight.js, Markdown renderers),
+  // GitHub's `highlight-source-*`, `data-lang`/`data-language`, <pre lang>
+  // and SyntaxHighlighter's `brush: *`
+  function codeLanguage(pre) {
+    const candidates = [pre.querySelector("code"), pre];
+    let wrapper = pre.parentElement;
+    for (let depth = 0; wrapper && depth < 3; depth++, wrapper = wrapper.parentElement) {
+      // Stop once the wrapper holds more than this block
+      if (wrapper.querySelectorAll("pre").length > 1) break;
+      candidates.push(wrapper);
+    }
+
+    for (const el of candidates.filter(Boolean)) {
+      const language = elementLanguage(el);
+      if (language) return PLAIN_LANGUAGES.has(language) ? "" : language;
+    }
+    return "";
+  }
+
+  function elementLanguage(el) {
+    for (const name of el.classList) {
+      const scope = name.match(/^highlight-((?:source|text)-.+)$/);
+      if (scope) return CODE_SCOPES[scope[1]] || scope[1].replace(/^(source|text)-/, "");
+      const match = name.match(/^(?:language|lang|highlight)-(.+)$/);
+      if (match) return cleanLanguage(match[1]);
+    }
+    const brush = (el.getAttribute("class") || "").match(/\bbrush:\s*([\w+#-]+)/);
+    if (brush) return cleanLanguage(brush[1]);
+
+    const attribute =
+      el.getAttribute("data-lang") ||
+      el.getAttribute("data-language") ||
+      (el.nodeName === "PRE" && el.getAttribute("lang"));
+    return attribute ? cleanLanguage(attribute) : "";
+  }
+
+  function cleanLanguage(name) {
+    const language = name.trim().toLowerCase();
+    return /^[\w+#.-]+$/.test(language) ? language : "";
+  }
+
+  // MARK: - Math
+
+  // Elements that hold one formula, outermost first where they nest
+  const MATH_ROOTS = [
+    "[data-dura-math]",
+    ".katex-display",
+    ".katex",
+    "mjx-container",
+    ".MathJax_Display",
+    ".MathJax_Preview",
+    ".MathJax_SVG_Display",
+    ".MathJax_SVG",
+    ".MathJax_CHTML",
+    ".MathJax",
+    'script[type^="math/tex"]',
+    ".mwe-math-element",
+    "math",
+    "img.latex",
+  ].join(", ");
+
+  // MathJax 2 renders next to the script holding the TeX
+  const MATHJAX2_OUTPUT =
+    ".MathJax_Display, .MathJax_SVG_Display, .MathJax_SVG, .MathJax_CHTML, .MathJax";
+
+  // Readability drops scripts and hidden elements, which is where most
+  // renderers keep the TeX. Replaces each formula under `root` with a plain
+  // element carrying its TeX, so it survives into the article.
+  function preserveMath(root) {
+    const formulas = Array.from(root.querySelectorAll(MATH_ROOTS)).filter(
+      (el) => !el.parentElement || !el.parentElement.closest(MATH_ROOTS)
+    );
+    // Read every source before replacing anything: a MathJax 2 script is
+    // only recognized as a duplicate while its rendered output is still there
+    const sources = formulas.map(mathSource);
+    formulas.forEach((el, i) => {
+      const math = sources[i];
+      if (!math.tex) {
+        el.remove();
+        return;
+      }
+      const placeholder = el.ownerDocument.createElement("span");
+      placeholder.setAttribute("data-dura-math", math.display ? "display" : "inline");
+      placeholder.textContent = math.tex;
+      el.replaceWith(placeholder);
+    });
+  }
+
+  // { tex, display } for an element matching MATH_ROOTS. `tex` is empty for
+  // rendered output whose source is elsewhere (a MathJax 2 preview, or output
+  // followed by its script).
+  function mathSource(el) {
+    if (el.hasAttribute("data-dura-math")) {
+      return { tex: el.textContent.trim(), display: el.getAttribute("data-dura-math") === "display" };
+    }
+    if (el.matches(".katex-display, .katex")) {
+      return {
+        tex: texFromMath(el.querySelector("math")),
+        display: !!el.closest(".katex-display"),
+      };
+    }
+    if (el.localName === "mjx-container") {
+      return {
+        tex: texFromMath(el.querySelector("math")),
+        display: el.getAttribute("display") === "true",
+      };
+    }
+    if (el.localName === "script") {
+      return {
+        tex: isMathJax2Output(el.previousElementSibling) ? "" : el.textContent.trim(),
+        display: /mode=display/.test(el.type),
+      };
+    }
+    if (el.matches(".MathJax_Preview")) return { tex: "", display: false };
+    if (el.matches(MATHJAX2_OUTPUT)) {
+      const script = el.nextElementSibling;
+      const fromScript = script && script.matches('script[type^="math/tex"]');
+      return {
+        tex: fromScript ? script.textContent.trim() : texFromMath(el.querySelector("math")),
+        display: fromScript
+          ? /mode=display/.test(script.type)
+          : el.matches(".MathJax_Display, .MathJax_SVG_Display"),
+      };
+    }
+    if (el.matches(".mwe-math-element")) {
+      const math = el.querySelector("math");
+      const image = el.querySelector("img");
+      return {
+        tex: math ? texFromMath(math) : stripDisplayStyle((image && image.alt) || ""),
+        display: !!el.querySelector(".mwe-math-mathml-display, .mwe-math-fallback-image-display"),
+      };
+    }
+    if (el.localName === "img") {
+      return { tex: el.alt.trim(), display: false };
+    }
+    return {
+      tex: texFromMath(el),
+      display: el.getAttribute("display") === "block" || el.getAttribute("mode") === "display",
+    };
+  }
+
+  function isMathJax2Output(el) {
+    return !!el && el.localName !== "mjx-container" && el.matches(MATHJAX2_OUTPUT);
+  }
+
+  // TeX for a <math> element: its TeX annotation or alt text when it has
+  // one, otherwise converted from the MathML
+  function texFromMath(math) {
+    if (!math) return "";
+    const annotation = math.querySelector('annotation[encoding="application/x-tex"]');
+    const source =
+      (annotation && annotation.textContent) ||
+      math.getAttribute("data-latex") ||
+      math.getAttribute("alttext") ||
+      "";
+    if (source.trim()) return stripDisplayStyle(source);
+    return mathMLToTex(math).replace(/\s+/g, " ").trim();
+  }
+
+  // Wikipedia wraps its TeX in {\displaystyle ...}
+  function stripDisplayStyle(tex) {
+    const match = tex.trim().match(/^\{\\(?:display|text)style\s*([\s\S]*)\}$/);
+    return (match ? match[1] : tex).trim();
+  }
+
+  // Characters MathML uses where LaTeX has a command
+  const TEX_SYMBOLS = {
+    "α": "\\alpha", "β": "\\beta", "γ": "\\gamma", "δ": "\\delta", "ε": "\\varepsilon",
+    "ϵ": "\\epsilon", "ζ": "\\zeta", "η": "\\eta", "θ": "\\theta", "ϑ": "\\vartheta",
+    "ι": "\\iota", "κ": "\\kappa", "λ": "\\lambda", "μ": "\\mu", "ν": "\\nu", "ξ": "\\xi",
+    "π": "\\pi", "ρ": "\\rho", "σ": "\\sigma", "ς": "\\varsigma", "τ": "\\tau",
+    "υ": "\\upsilon", "φ": "\\varphi", "ϕ": "\\phi", "χ": "\\chi", "ψ": "\\psi",
+    "ω": "\\omega", "Γ": "\\Gamma", "Δ": "\\Delta", "Θ": "\\Theta", "Λ": "\\Lambda",
+    "Ξ": "\\Xi", "Π": "\\Pi", "Σ": "\\Sigma", "Υ": "\\Upsilon", "Φ": "\\Phi",
+    "Ψ": "\\Psi", "Ω": "\\Omega",
+    "±": "\\pm", "∓": "\\mp", "×": "\\times", "÷": "\\div", "·": "\\cdot", "⋅": "\\cdot",
+    "∗": "\\ast", "∘": "\\circ", "−": "-", "≤": "\\leq", "≥": "\\geq", "≠": "\\neq",
+    "≈": "\\approx", "≡": "\\equiv", "∼": "\\sim", "≃": "\\simeq", "≅": "\\cong",
+    "∝": "\\propto", "≪": "\\ll", "≫": "\\gg", "∞": "\\infty", "∂": "\\partial",
+    "∇": "\\nabla", "∈": "\\in", "∉": "\\notin", "∋": "\\ni", "⊂": "\\subset",
+    "⊆": "\\subseteq", "⊃": "\\supset", "⊇": "\\supseteq", "∪": "\\cup", "∩": "\\cap",
+    "∅": "\\emptyset", "∀": "\\forall", "∃": "\\exists", "¬": "\\neg", "∧": "\\land",
+    "∨": "\\lor", "⊕": "\\oplus", "⊗": "\\otimes", "⊥": "\\perp", "∥": "\\parallel",
+    "∣": "\\mid", "‖": "\\|", "→": "\\to", "←": "\\leftarrow", "↔": "\\leftrightarrow",
+    "⇒": "\\Rightarrow", "⇐": "\\Leftarrow", "⇔": "\\Leftrightarrow", "↦": "\\mapsto",
+    "∑": "\\sum", "∏": "\\prod", "∫": "\\int", "∬": "\\iint", "∮": "\\oint",
+    "…": "\\ldots", "⋯": "\\cdots", "⋮": "\\vdots", "⋱": "\\ddots", "′": "'", "″": "''",
+    "ℓ": "\\ell", "ℏ": "\\hbar", "ℝ": "\\mathbb{R}", "ℕ": "\\mathbb{N}",
+    "ℤ": "\\mathbb{Z}", "ℚ": "\\mathbb{Q}", "ℂ": "\\mathbb{C}", "⟨": "\\langle",
+    "⟩": "\\rangle", "⌊": "\\lfloor", "⌋": "\\rfloor", "⌈": "\\lceil", "⌉": "\\rceil",
+    "{": "\\{", "}": "\\}", "%": "\\%", "#": "\\#", "&": "\\&",
+    // Invisible function application, times and separator
+    "\u2061": "", "\u2062": "", "\u2063": "",
+  };
+
+  // Accents over (mover) and under (munder) a base
+  const TEX_ACCENTS = {
+    "^": "\\hat", "ˆ": "\\hat", "¯": "\\bar", "‾": "\\overline", "~": "\\tilde",
+    "˜": "\\tilde", "→": "\\vec", "\u20d7": "\\vec", "˙": "\\dot", "¨": "\\ddot",
+    "⏞": "\\overbrace",
+  };
+  const TEX_UNDER_ACCENTS = { "_": "\\underline", "‾": "\\underline", "⏟": "\\underbrace" };
+
+  const TEX_FUNCTIONS = new Set([
+    "sin", "cos", "tan", "cot", "sec", "csc", "arcsin", "arccos", "arctan", "sinh",
+    "cosh", "tanh", "log", "ln", "exp", "lim", "max", "min", "sup", "inf", "det",
+    "dim", "ker", "deg", "gcd", "arg", "Pr",
+  ]);
+
+  // A MathML element as LaTeX. Covers the presentation elements renderers
+  // emit; anything else contributes its children.
+  function mathMLToTex(el) {
+    const kids = Array.from(el.children);
+    const tex = (i) => (kids[i] ? mathMLToTex(kids[i]) : "");
+    const group = (i) => {
+      const text = tex(i).trim();
+      return text.length === 1 ? text : `{${text}}`;
+    };
+    const base = () => (kids[0] && /^(msup|msub|msubsup)$/.test(kids[0].localName) ? `{${tex(0)}}` : tex(0));
+    const text = el.textContent.trim();
+
+    switch (el.localName) {
+      case "annotation":
+      case "annotation-xml":
+      case "mphantom":
+        return "";
+      case "mi":
+        if (TEX_FUNCTIONS.has(text)) return `\\${text} `;
+        return text.length > 1 ? `\\mathrm{${text}}` : texSymbols(text);
+      case "mn":
+        return text;
+      case "mo":
+        return texSymbols(text);
+      case "mtext":
+        return text ? `\\text{${text}}` : " ";
+      case "mspace":
+        return " ";
+      case "msup":
+        return `${base()}^${group(1)}`;
+      case "msub":
+        return `${base()}_${group(1)}`;
+      case "msubsup":
+        return `${base()}_${group(1)}^${group(2)}`;
+      case "mfrac":
+        return `\\frac{${tex(0)}}{${tex(1)}}`;
+      case "msqrt":
+        return `\\sqrt{${kids.map(mathMLToTex).join("")}}`;
+      case "mroot":
+        return `\\sqrt[${tex(1)}]{${tex(0)}}`;
+      case "mover": {
+        const accent = kids[1] && TEX_ACCENTS[kids[1].textContent.trim()];
+        return accent ? `${accent}{${tex(0)}}` : `\\overset{${tex(1)}}{${tex(0)}}`;
+      }
+      case "munder": {
+        const accent = kids[1] && TEX_UNDER_ACCENTS[kids[1].textContent.trim()];
+        if (accent) return `${accent}{${tex(0)}}`;
+        return isLargeOperator(kids[0]) ? `${tex(0)}_${group(1)}` : `\\underset{${tex(1)}}{${tex(0)}}`;
+      }
+      case "munderover":
+        return isLargeOperator(kids[0])
+          ? `${tex(0)}_${group(1)}^${group(2)}`
+          : `\\overset{${tex(2)}}{\\underset{${tex(1)}}{${tex(0)}}}`;
+      case "mtable": {
+        const rows = kids.map((row) =>
+          Array.from(row.children).map((cell) => mathMLToTex(cell).trim()).join(" & ")
+        );
+        return `\\begin{matrix} ${rows.join(" \\\\ ")} \\end{matrix}`;
+      }
+      case "mfenced": {
+        const open = el.getAttribute("open") ?? "(";
+        const close = el.getAttribute("close") ?? ")";
+        const separator = (el.getAttribute("separators") ?? ",").trim().charAt(0);
+        const inner = kids.map(mathMLToTex).join(separator);
+        return `\\left${texDelimiter(open)}${inner}\\right${texDelimiter(close)}`;
+      }
+      case "semantics":
+        return tex(0);
+      default:
+        return kids.map(mathMLToTex).join("");
+    }
+  }
+
+  // Commands followed by a space so the next letter can't run into them
+  function texSymbols(text) {
+    return Array.from(text)
+      .map((ch) => {
+        const symbol = TEX_SYMBOLS[ch];
+        if (symbol === undefined) return ch;
+        return /\\[a-zA-Z]+$/.test(symbol) ? symbol + " " : symbol;
+      })
+      .join("");
+  }
+
+  function texDelimiter(ch) {
+    if (!ch) return ".";
+    return ch === "{" || ch === "}" ? "\\" + ch : texSymbols(ch).trim();
+  }
+
+  function isLargeOperator(el) {
+    return !!el && /^[∑∏∫∬∮⋃⋂]$|^(lim|max|min|sup|inf)$/.test(el.textContent.trim());
+  }
+
+  global.DuraMarkdown = { htmlToMarkdown, preserveCode, preserveMath };
+})(typeof globalThis !== "undefined" ? globalThis : self);
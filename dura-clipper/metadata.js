@@ -0,0 +1,223 @@
+// DURA Clipper — Page Metadata
+// Injected before content.js. Reads page metadata from Open Graph / Twitter
+// meta tags, JSON-LD (schema.org), Dublin Core and article:* tags.
+
+(function (global) {
+  "use strict";
+
+  // schema.org types whose JSON-LD describes the page's main content
+  const LD_TYPES = [
+    "Article",
+    "NewsArticle",
+    "BlogPosting",
+    "Recipe",
+    "Product",
+    "VideoObject",
+  ];
+
+  function extractMetadata() {
+    const metaTags = indexMetaTags();
+    const ld = findJsonLd();
+
+    // First non-empty meta tag value among `names` (case-insensitive)
+    const meta = (...names) => {
+      for (const name of names) {
+        const values = metaTags.get(name.toLowerCase());
+        if (values && values[0]) return values[0];
+      }
+      return "";
+    };
+    const metaAll = (...names) =>
+      names.flatMap((name) => metaTags.get(name.toLowerCase()) || []);
+
+    const title =
+      meta("og:title") ||
+      meta("twitter:title") ||
+      text(ld?.headline) ||
+      text(ld?.name) ||
+      meta("dc.title", "dcterms.title") ||
+      document.title ||
+      "";
+
+    const url =
+      document.querySelector('link[rel="canonical"]')?.href ||
+      window.location.href;
+
+    // JSON-LD carries profile URLs, so it wins over name-only meta tags
+    let authors = uniqueAuthors(ldAuthors(ld));
+    if (authors.length === 0) {
+      authors = uniqueAuthors(
+        metaAll("article:author", "author", "dc.creator", "dcterms.creator")
+          .filter((value) => !/^https?:\/\//.test(value))
+          .map((name) => ({ name }))
+      );
+    }
+
+    const author =
+      meta("author") ||
+      meta("article:author") ||
+      meta("twitter:creator") ||
+      authors.map((a) => a.name).join(", ") ||
+      "";
+
+    const excerpt =
+      meta("og:description") ||
+      meta("description") ||
+      meta("twitter:description") ||
+      text(ld?.description) ||
+      meta("dc.description", "dcterms.description") ||
+      "";
+
+    const featuredImage =
+      meta("og:image") ||
+      meta("twitter:image") ||
+      ldImage(ld) ||
+      "";
+
+    const publishedAt = normalizeDate(
+      meta("article:published_time") ||
+        text(ld?.datePublished) ||
+        text(ld?.uploadDate) ||
+        meta("dc.date.issued", "dcterms.issued", "dcterms.created", "dc.date", "date")
+    );
+
+    const modifiedAt = normalizeDate(
+      meta("article:modified_time") ||
+        meta("og:updated_time") ||
+        text(ld?.dateModified) ||
+        meta("dcterms.modified", "dc.date.modified")
+    );
+
+    const siteName =
+      meta("og:site_name") ||
+      text(ld?.publisher?.name) ||
+      meta("dc.publisher", "dcterms.publisher") ||
+      meta("application-name") ||
+      "";
+
+    const language = (
+      document.documentElement.getAttribute("lang") ||
+      text(ld?.inLanguage) ||
+      meta("dc.language", "dcterms.language") ||
+      meta("og:locale") ||
+      ""
+    ).replace(/_/g, "-");
+
+    const section =
+      meta("article:section") ||
+      text(Array.isArray(ld?.articleSection) ? ld.articleSection[0] : ld?.articleSection) ||
+      text(ld?.recipeCategory) ||
+      text(ld?.category) ||
+      "";
+
+    return {
+      title,
+      url,
+      author,
+      authors,
+      excerpt,
+      featuredImage,
+      publishedAt,
+      modifiedAt,
+      siteName,
+      language,
+      section,
+    };
+  }
+
+  // Maps lowercased meta name/property → all content values, in page order
+  function indexMetaTags() {
+    const index = new Map();
+    document.querySelectorAll("meta[content]").forEach((el) => {
+      const key = (
+        el.getAttribute("property") ||
+        el.getAttribute("name") ||
+        el.getAttribute("itemprop") ||
+        ""
+      ).toLowerCase();
+      const content = (el.getAttribute("content") || "").trim();
+      if (!key || !content) return;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(content);
+    });
+    return index;
+  }
+
+  // MARK: - JSON-LD
+
+  // First JSON-LD node of a supported type, searching arrays and @graph
+  function findJsonLd() {
+    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+    for (const script of scripts) {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch {
+        continue; // sites ship malformed JSON-LD surprisingly often
+      }
+      const node = findNode(data);
+      if (node) return node;
+    }
+    return null;
+  }
+
+  function findNode(data) {
+    if (!data || typeof data !== "object") return null;
+    if (Array.isArray(data)) {
+      for (const item of data) {
+        const node = findNode(item);
+        if (node) return node;
+      }
+      return null;
+    }
+    const types = [].concat(data["@type"] || []);
+    if (types.some((type) => LD_TYPES.includes(type))) return data;
+    return findNode(data["@graph"]);
+  }
+
+  function ldAuthors(ld) {
+    if (!ld) return [];
+    return []
+      .concat(ld.author || ld.creator || [])
+      .map((author) => {
+        if (typeof author === "string") return { name: author.trim() };
+        const name = text(author?.name);
+        if (!name) return null;
+        const url = text(author.url) || text([].concat(author.sameAs || [])[0]);
+        return url ? { name, url } : { name };
+      })
+      .filter((author) => author && author.name);
+  }
+
+  function ldImage(ld) {
+    if (!ld?.image) return "";
+    const image = [].concat(ld.image)[0];
+    return typeof image === "string" ? image : text(image?.url);
+  }
+
+  // MARK: - Helpers
+
+  function uniqueAuthors(authors) {
+    const seen = new Set();
+    return authors.filter((author) => {
+      const key = author.name.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // ISO 8601 where the date parses; date-only values stay date-only
+  function normalizeDate(value) {
+    const raw = (value || "").trim();
+    if (!raw || /^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
+    const date = new Date(raw);
+    return Number.isNaN(date.getTime()) ? raw : date.toISOString();
+  }
+
+  function text(value) {
+    return typeof value === "string" ? value.trim() : "";
+  }
+
+  global.DuraMetadata = { extractMetadata };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// DURA Clipper — Reference Native Messaging Host
+// Chrome starts this process for each message the extension sends and talks
+// to it over stdin/stdout: every message is JSON preceded by its byte length
+// as a 32-bit little-endian integer.
+//
+// A clip is handed to the DURA app through its native inbox: the host writes
+// the .md file and its assets/ into a new folder there, and DURA imports it
+// and writes receipt.json with the ID of the note it created. That receipt
+// is the acknowledgement sent back to the extension. If DURA doesn't answer
+// in time the folder stays in the inbox for DURA to import later, and the
+// extension is told the clip is pending rather than failed.
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { execFile } = require("child_process");
+
+const PROTOCOL_VERSION = 1;
+
+// Must match NativeClipInbox.inboxURL in the DURA app
+const INBOX_DIR = path.join(
+  os.homedir(),
+  "Library",
+  "Application Support",
+  "DURA",
+  "NativeClips"
+);
+const RECEIPT_FILE = "receipt.json";
+const APP_BUNDLE_ID = "com.dura.app";
+
+const RECEIPT_TIMEOUT_MS = 20000;
+const POLL_INTERVAL_MS = 200;
+
+// MARK: - Protocol
+
+function readMessage() {
+  return new Promise((resolve, reject) => {
+    let buffer = Buffer.alloc(0);
+    process.stdin.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (buffer.length < 4) return;
+      const length = buffer.readUInt32LE(0);
+      if (buffer.length < 4 + length) return;
+      try {
+        resolve(JSON.parse(buffer.subarray(4, 4 + length).toString("utf8")));
+      } catch (e) {
+        reject(e);
+      }
+    });
+    process.stdin.on("end", () => reject(new Error("stdin closed before a message arrived")));
+  });
+}
+
+function writeMessage(message) {
+  const json = Buffer.from(JSON.stringify(message), "utf8");
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(json.length, 0);
+  return new Promise((resolve) => process.stdout.write(Buffer.concat([header, json]), resolve));
+}
+
+// MARK: - Clips
+
+async function handleClip(message) {
+  if (message.version !== PROTOCOL_VERSION) {
+    return { ok: false, error: `Unsupported protocol version ${message.version}` };
+  }
+
+  const id = crypto.randomUUID();
+  const staging = path.join(INBOX_DIR, `.${id}`);
+  const delivery = path.join(INBOX_DIR, id);
+
+  // Write under a hidden name, then rename: DURA only sees complete folders
+  fs.mkdirSync(path.join(staging, "assets"), { recursive: true });
+  const markdownPath = path.join(staging, safeRelativePath(message.filename));
+  fs.mkdirSync(path.dirname(markdownPath), { recursive: true });
+  fs.writeFileSync(markdownPath, message.markdown || "", "utf8");
+  for (const asset of message.assets || []) {
+    const target = assetTarget(asset.path, message.filename, staging, markdownPath);
+    if (target) fs.writeFileSync(target, Buffer.from(asset.data || "", "base64"));
+  }
+  fs.renameSync(staging, delivery);
+
+  // Launches DURA in the background if it isn't running; harmless if it is
+  execFile("open", ["-g", "-b", APP_BUNDLE_ID], () => {});
+
+  const receipt = await waitForReceipt(path.join(delivery, RECEIPT_FILE));
+  if (!receipt) {
+    // DURA may still be importing it (or not running yet); it removes the
+    // folder once it has answered
+    return { ok: true, pending: true };
+  }
+  fs.rmSync(delivery, { recursive: true, force: true });
+  return receipt;
+}
+
+async function waitForReceipt(file) {
+  const deadline = Date.now() + RECEIPT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
+    }
+  }
+  return null;
+}
+
+// Where an asset goes: images into assets/, and a paper's citation next to
+// the .md under the same name with .bib. Anything else is dropped.
+function assetTarget(assetPath, filename, staging, markdownPath) {
+  if (/^assets\/[\w.-]+$/.test(assetPath || "")) return path.join(staging, assetPath);
+  if (/\.md$/i.test(filename || "") && assetPath === filename.replace(/\.md$/i, ".bib")) {
+    return markdownPath.replace(/\.md$/i, ".bib");
+  }
+  return null;
+}
+
+// The .md path relative to the delivery folder. Keeps the subfolders of the
+// extension's filename template but never leaves the folder or lands in assets/.
+function safeRelativePath(name) {
+  const segments = (name || "")
+    .split(/[/\\]/)
+    .map((segment) => segment.replace(/[<>:"|?*\u0000-\u001f]/g, ""))
+    .filter((segment) => segment && !segment.startsWith("."));
+  const base = segments.pop() || "";
+  if (!/\.md$/i.test(base)) return "clip.md";
+  if (segments[0] === "assets") segments.shift();
+  return path.join(...segments, base);
+}
+
+// MARK: - Main
+
+async function main() {
+  let reply;
+  try {
+    const message = await readMessage();
+    if (message.type === "ping") {
+      reply = { ok: true, version: PROTOCOL_VERSION };
+    } else if (message.type === "clip") {
+      reply = await handleClip(message);
+    } else {
+      reply = { ok: false, error: `Unknown message type ${message.type}` };
+    }
+  } catch (e) {
+    reply = { ok: false, error: e.message };
+  }
+  await writeMessage(reply);
+  process.exit(0);
+}
+
+main();
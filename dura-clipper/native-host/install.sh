@@ -0,0 +1,37 @@
+#!/bin/sh
+# Installs the DURA Clipper native messaging host for Google Chrome on macOS.
+# Usage: ./install.sh <extension-id>
+# The extension ID is shown on chrome://extensions with Developer mode on.
+#
+# Chrome starts the host with a minimal PATH that doesn't include Homebrew or
+# nvm, so the host manifest points at a small launcher that runs the node
+# found here by its absolute path. Set NODE to use a different one.
+
+set -e
+
+if [ -z "$1" ]; then
+  echo "Usage: $0 <extension-id>" >&2
+  exit 1
+fi
+
+NODE_BIN="${NODE:-$(command -v node || true)}"
+if [ -z "$NODE_BIN" ] || [ ! -x "$NODE_BIN" ]; then
+  echo "Node.js not found; install it or set NODE=/path/to/node" >&2
+  exit 1
+fi
+
+HOST_DIR="$(cd "$(dirname "$0")" && pwd)"
+SCRIPT_PATH="$HOST_DIR/dura-native-host.js"
+TARGET_DIR="$HOME/Library/Application Support/Google/Chrome/NativeMessagingHosts"
+HOST_PATH="$TARGET_DIR/dura-native-host"
+
+mkdir -p "$TARGET_DIR"
+cat > "$HOST_PATH" <<LAUNCHER
+#!/bin/sh
+exec "$NODE_BIN" "$SCRIPT_PATH" "\$@"
+LAUNCHER
+chmod +x "$HOST_PATH"
+sed -e "s|HOST_PATH|$HOST_PATH|" -e "s|EXTENSION_ID|$1|" \
+  "$HOST_DIR/com.dura.clipper.json" > "$TARGET_DIR/com.dura.clipper.json"
+
+echo "Installed com.dura.clipper for extension $1 (node: $NODE_BIN)"
@@ -0,0 +1,52 @@
+// DURA Clipper — Native Messaging
+// Imported into the background service worker. Sends clips to DURA's native
+// messaging host (native-host/), which hands them to the DURA app and answers
+// with the ID of the note it created.
+
+(function (global) {
+  "use strict";
+
+  // Must match the "name" in the host manifest
+  const HOST_NAME = "com.dura.clipper";
+
+  // Bump when the message layout changes
+  const PROTOCOL_VERSION = 1;
+
+  // Chrome's errors for a host that isn't installed, or is installed in a
+  // way that can't work (the manifest doesn't allow this extension, its path
+  // doesn't start). Clips then go to Downloads without logging a failure
+  // each time; any other error is a failed delivery.
+  const HOST_UNAVAILABLE_ERRORS = [
+    "Specified native messaging host not found.",
+    "Access to the specified native messaging host is forbidden.",
+    "Invalid native messaging host name specified.",
+    "Failed to start native messaging host.",
+    "Error when communicating with the native messaging host.",
+  ];
+
+  // Sends one clip and resolves with the host's acknowledgement: { ok,
+  // noteId, title }, or { ok, pending } when the clip is in DURA's inbox but
+  // DURA hasn't imported it yet. Rejects when the host isn't installed
+  // or can't be started (`error.hostUnavailable`) or DURA reported an error.
+  async function sendClip(clip) {
+    let reply;
+    try {
+      reply = await chrome.runtime.sendNativeMessage(HOST_NAME, {
+        type: "clip",
+        version: PROTOCOL_VERSION,
+        ...clip,
+      });
+    } catch (e) {
+      const error = new Error(e.message);
+      error.hostUnavailable = HOST_UNAVAILABLE_ERRORS.includes(e.message);
+      throw error;
+    }
+
+    if (!reply || !reply.ok || !(reply.noteId || reply.pending)) {
+      throw new Error(reply?.error || "DURA did not confirm the clip");
+    }
+    return reply;
+  }
+
+  global.DuraNative = { HOST_NAME, PROTOCOL_VERSION, sendClip };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -11,10 +11,30 @@
   const addNotebookBtn = document.getElementById("add-notebook-btn");
   const autoCloseCheckbox = document.getElementById("auto-close");
   const includeImageCheckbox = document.getElementById("include-image");
+  const followPagesCheckbox = document.getElementById("follow-pages");
+  const pageLimitInput = document.getElementById("page-limit");
+  const downloadImagesCheckbox = document.getElementById("download-images");
+  const saveBibTeXCheckbox = document.getElementById("save-bibtex");
+  const ruleListEl = document.getElementById("rule-list");
+  const rulePatternInput = document.getElementById("rule-pattern");
+  const ruleNotebookSelect = document.getElementById("rule-notebook");
+  const ruleTagsInput = document.getElementById("rule-tags");
+  const ruleModeSelect = document.getElementById("rule-mode");
+  const ruleImageSelect = document.getElementById("rule-image");
+  const addRuleBtn = document.getElementById("add-rule-btn");
+  const filenameTemplateInput = document.getElementById("template-filename");
+  const headingTemplateInput = document.getElementById("template-heading");
+  const attributionTemplateInput = document.getElementById("template-attribution");
+  const frontMatterTemplateInput = document.getElementById("template-front-matter");
+  const filenameExampleEl = document.getElementById("filename-example");
+  const resetTemplatesBtn = document.getElementById("reset-templates-btn");
+  const shortcutListEl = document.getElementById("shortcut-list");
+  const shortcutsBtn = document.getElementById("shortcuts-btn");
   const saveBtn = document.getElementById("save-btn");
   const statusEl = document.getElementById("status");
 
   let notebooks = [];
+  let clipRules = [];
 
   // Load current settings
   const settings = await chrome.storage.sync.get([
@@ -24,17 +44,39 @@
     "notebooks",
     "autoClose",
     "includeFeaturedImage",
+    "followPages",
+    "pageLimit",
+    "downloadImages",
+    "saveBibTeX",
+    "clipRules",
+    "templates",
   ]);
 
   subfolderInput.value = settings.downloadSubfolder || "DURA-Clips";
   defaultModeSelect.value = settings.defaultClipMode || "full";
   autoCloseCheckbox.checked = settings.autoClose !== false;
   includeImageCheckbox.checked = settings.includeFeaturedImage || false;
+  followPagesCheckbox.checked = settings.followPages === true;
+  pageLimitInput.value = settings.pageLimit || 10;
+  downloadImagesCheckbox.checked = settings.downloadImages || false;
+  saveBibTeXCheckbox.checked = settings.saveBibTeX || false;
 
   notebooks = settings.notebooks || ["Inbox", "Research", "Reading List"];
   renderNotebooks();
   populateNotebookSelect(settings.defaultNotebook || "Inbox");
 
+  clipRules = settings.clipRules || [];
+  renderRules();
+
+  fillTemplates(DuraClip.resolveTemplates(settings.templates));
+
+  renderShortcuts();
+  shortcutsBtn.addEventListener("click", () => {
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+  });
+  // Pick up changes made on the shortcuts page when coming back
+  window.addEventListener("focus", renderShortcuts);
+
   // Render notebook list
   function renderNotebooks() {
     notebookListEl.innerHTML = "";
@@ -69,8 +111,118 @@
       if (nb === selectedValue) opt.selected = true;
       defaultNotebookSelect.appendChild(opt);
     });
+
+    const ruleNotebook = ruleNotebookSelect.value;
+    ruleNotebookSelect.innerHTML = "";
+    ["", ...notebooks].forEach((nb) => {
+      const opt = document.createElement("option");
+      opt.value = nb;
+      opt.textContent = nb || "Use default";
+      if (nb === ruleNotebook) opt.selected = true;
+      ruleNotebookSelect.appendChild(opt);
+    });
+  }
+
+  // Render shortcut list: the manifest's `commands`, as the browser has them
+  // bound
+  async function renderShortcuts() {
+    const commands = await chrome.commands.getAll();
+    shortcutListEl.innerHTML = "";
+    commands.forEach((command) => {
+      const item = document.createElement("div");
+      item.className = "notebook-item";
+
+      const description = document.createElement("span");
+      description.textContent = command.description;
+
+      const key = document.createElement("kbd");
+      key.textContent = command.shortcut || "Not set";
+
+      item.appendChild(description);
+      item.appendChild(key);
+      shortcutListEl.appendChild(item);
+    });
+  }
+
+  // Render site rule list
+  function renderRules() {
+    ruleListEl.innerHTML = "";
+    clipRules.forEach((rule, index) => {
+      const item = document.createElement("div");
+      item.className = "notebook-item";
+
+      const text = document.createElement("span");
+      text.textContent = rule.pattern;
+
+      const summary = document.createElement("span");
+      summary.className = "rule-summary";
+      summary.textContent = describeRule(rule);
+      text.appendChild(summary);
+
+      const removeBtn = document.createElement("button");
+      removeBtn.textContent = "\u00d7";
+      removeBtn.title = "Remove";
+      removeBtn.addEventListener("click", () => {
+        clipRules.splice(index, 1);
+        renderRules();
+      });
+
+      item.appendChild(text);
+      item.appendChild(removeBtn);
+      ruleListEl.appendChild(item);
+    });
+  }
+
+  function describeRule(rule) {
+    const parts = [];
+    if (rule.notebook) parts.push(`→ ${rule.notebook}`);
+    if (rule.tags && rule.tags.length > 0) parts.push(`tags: ${rule.tags.join(", ")}`);
+    if (rule.mode) {
+      parts.push(`mode: ${ruleModeSelect.querySelector(`option[value="${rule.mode}"]`)?.textContent || rule.mode}`);
+    }
+    if (rule.includeFeaturedImage === true) parts.push("with featured image");
+    if (rule.includeFeaturedImage === false) parts.push("no featured image");
+    return parts.join(" · ") || "No changes";
+  }
+
+  function fillTemplates(templates) {
+    filenameTemplateInput.value = templates.filename;
+    headingTemplateInput.value = templates.heading;
+    attributionTemplateInput.value = templates.attribution;
+    frontMatterTemplateInput.value = templates.frontMatter;
+    renderFilenameExample();
+  }
+
+  function currentTemplates() {
+    return DuraClip.resolveTemplates({
+      filename: filenameTemplateInput.value.trim(),
+      heading: headingTemplateInput.value.trim(),
+      attribution: attributionTemplateInput.value.trim(),
+      frontMatter: frontMatterTemplateInput.value.trim(),
+    });
   }
 
+  function renderFilenameExample() {
+    const sample = {
+      title: "An Example Article",
+      url: "https://example.com/posts/example",
+      author: "Jane Doe",
+    };
+    filenameExampleEl.textContent = DuraClip.buildFilename(
+      sample,
+      defaultNotebookSelect.value || "Inbox",
+      ["example"],
+      currentTemplates()
+    );
+  }
+
+  filenameTemplateInput.addEventListener("input", renderFilenameExample);
+  defaultNotebookSelect.addEventListener("change", renderFilenameExample);
+
+  resetTemplatesBtn.addEventListener("click", () => {
+    fillTemplates(DuraClip.DEFAULT_TEMPLATES);
+  });
+
   // Add notebook
   addNotebookBtn.addEventListener("click", () => {
     const name = newNotebookInput.value.trim();
@@ -92,6 +244,41 @@
     }
   });
 
+  // Add site rule
+  addRuleBtn.addEventListener("click", () => {
+    const pattern = rulePatternInput.value.trim();
+    if (!pattern) return;
+
+    const imageChoice = ruleImageSelect.value;
+    clipRules.push({
+      pattern: pattern,
+      notebook: ruleNotebookSelect.value,
+      tags: ruleTagsInput.value
+        .split(",")
+        .map((t) => t.trim())
+        .filter(Boolean),
+      mode: ruleModeSelect.value,
+      includeFeaturedImage: imageChoice === "" ? null : imageChoice === "include",
+    });
+
+    rulePatternInput.value = "";
+    ruleTagsInput.value = "";
+    ruleNotebookSelect.value = "";
+    ruleModeSelect.value = "";
+    ruleImageSelect.value = "";
+    renderRules();
+  });
+
+  // Downloading images needs access to every image host. Ask while the
+  // checkbox click still counts as a user gesture.
+  downloadImagesCheckbox.addEventListener("change", async () => {
+    if (!downloadImagesCheckbox.checked) return;
+    const granted = await chrome.permissions.request({
+      origins: ["<all_urls>"],
+    });
+    if (!granted) downloadImagesCheckbox.checked = false;
+  });
+
   // Save settings
   saveBtn.addEventListener("click", async () => {
     await chrome.storage.sync.set({
@@ -101,6 +288,12 @@
       notebooks: notebooks,
       autoClose: autoCloseCheckbox.checked,
       includeFeaturedImage: includeImageCheckbox.checked,
+      followPages: followPagesCheckbox.checked,
+      pageLimit: Math.min(50, Math.max(2, parseInt(pageLimitInput.value, 10) || 10)),
+      downloadImages: downloadImagesCheckbox.checked,
+      saveBibTeX: saveBibTeXCheckbox.checked,
+      clipRules: clipRules,
+      templates: currentTemplates(),
     });
 
     statusEl.classList.remove("hidden");
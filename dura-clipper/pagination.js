@@ -0,0 +1,146 @@
+// DURA Clipper — Multi-page Articles
+// Injected after markdown.js and the site extractors, before content.js.
+//
+// Articles split across pages link to the next one with `rel="next"` or a
+// row of numbered page links. A full-page clip can follow those links from
+// the page it starts on: each page is fetched, read with Readability and
+// appended to the clip, minus the blocks every page repeats (the standfirst,
+// bylines, "continued from" notes). Only pages on the same site are fetched.
+
+(function (global) {
+  "use strict";
+
+  // Containers a row of page links lives in
+  const PAGINATION =
+    '.pagination, .pager, .page-numbers, .pages, nav[aria-label*="pag" i], ' +
+    '[class*="pagination"], [class*="pager"], [class*="page-nav"]';
+
+  // The current page's entry in a row of page links
+  const CURRENT_PAGE = '[aria-current="page"], .current, .active, .selected, strong, em';
+
+  // Link texts that mean "next page"
+  const NEXT_TEXT = /^(next( page)?|older|more|continue)?\s*[›»→>]*$/i;
+
+  // URL of the page after `doc`, or null when there is none. `pageNumber` is
+  // how far into the article `doc` is, used when the page doesn't mark its
+  // own number.
+  function findNextPage(doc, pageUrl, pageNumber) {
+    const candidates = [];
+
+    const relNext = doc.querySelector('link[rel~="next"][href], a[rel~="next"][href]');
+    if (relNext) candidates.push(relNext.getAttribute("href"));
+
+    for (const container of doc.querySelectorAll(PAGINATION)) {
+      const links = Array.from(container.querySelectorAll("a[href]"));
+      const next = links.find((a) => {
+        const text = a.textContent.trim();
+        return (text && NEXT_TEXT.test(text)) || /\bnext\b/i.test(a.getAttribute("aria-label") || "");
+      });
+      if (next) candidates.push(next.getAttribute("href"));
+
+      const current = Array.from(container.querySelectorAll(CURRENT_PAGE)).find((el) =>
+        /^\d+$/.test(el.textContent.trim())
+      );
+      const number = current ? Number(current.textContent.trim()) : pageNumber;
+      const numbered = links.find((a) => a.textContent.trim() === String(number + 1));
+      if (numbered) candidates.push(numbered.getAttribute("href"));
+    }
+
+    const here = pageKey(pageUrl);
+    for (const href of candidates) {
+      let url;
+      try {
+        url = new URL(href, pageUrl);
+      } catch {
+        continue;
+      }
+      if (url.origin === new URL(pageUrl).origin && pageKey(url.href) !== here) return url.href;
+    }
+    return null;
+  }
+
+  // Appends the pages after this one to `result` (an extraction of this
+  // page), up to `limit` pages in all. `onProgress(n)` is called as page n
+  // is fetched. Resolves to the combined result, with `pageCount` set when
+  // more than one page was read.
+  async function stitch(result, limit, onProgress) {
+    const visited = new Set([pageKey(location.href)]);
+    const seen = new Set(blocks(result.bodyMarkdown));
+    const parts = [result.bodyMarkdown];
+
+    // Readability takes the page apart, so each page's next link is found
+    // before it is read
+    let next = findNextPage(document, location.href, 1);
+    while (next && parts.length < limit && !visited.has(pageKey(next))) {
+      visited.add(pageKey(next));
+      onProgress(parts.length + 1);
+
+      let markdown;
+      let following;
+      try {
+        const doc = await fetchPage(next);
+        following = findNextPage(doc, next, parts.length + 1);
+        markdown = readPage(doc, next);
+      } catch (e) {
+        console.warn(`DURA Clipper: stopped at ${next}`, e);
+        break;
+      }
+
+      const fresh = withoutRepeats(markdown, seen);
+      if (!fresh) break;
+      parts.push(fresh);
+      blocks(markdown).forEach((block) => seen.add(block));
+      next = following;
+    }
+
+    if (parts.length === 1) return result;
+    return { ...result, bodyMarkdown: parts.join("\n\n"), pageCount: parts.length };
+  }
+
+  async function fetchPage(url) {
+    const response = await fetch(url, { credentials: "include" });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const doc = new DOMParser().parseFromString(await response.text(), "text/html");
+
+    // Relative links and images resolve against the fetched page
+    const base = doc.createElement("base");
+    base.href = url;
+    doc.head.prepend(base);
+    return doc;
+  }
+
+  // The article on a fetched page as Markdown, the way content.js reads the
+  // page it runs in
+  function readPage(doc, pageUrl) {
+    DuraMarkdown.preserveCode(doc.body);
+    DuraMarkdown.preserveMath(doc.body);
+    const article = new Readability(doc).parse();
+    if (!article || !article.content) throw new Error("No article content");
+    return DuraMarkdown.htmlToMarkdown(article.content, pageUrl);
+  }
+
+  // A page's Markdown without the leading and trailing blocks earlier pages
+  // already had
+  function withoutRepeats(markdown, seen) {
+    const pageBlocks = blocks(markdown);
+    let start = 0;
+    let end = pageBlocks.length;
+    while (start < end && seen.has(pageBlocks[start])) start++;
+    while (end > start && seen.has(pageBlocks[end - 1])) end--;
+    return pageBlocks.slice(start, end).join("\n\n");
+  }
+
+  function blocks(markdown) {
+    return markdown
+      .split(/\n{2,}/)
+      .map((block) => block.trim())
+      .filter(Boolean);
+  }
+
+  // Pages are the same if only their fragment differs
+  function pageKey(url) {
+    return url.split("#")[0];
+  }
+
+  global.DuraPagination = { findNextPage, stitch };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,103 @@
+// DURA Clipper — Pending Clips Page Script
+// Lists the clips in the retry queue (queue.js) and lets the user retry or
+// discard each one. The list follows chrome.storage changes, so retries the
+// background makes on its own show up here too.
+
+(async function () {
+  "use strict";
+
+  const listEl = document.getElementById("pending-list");
+  const emptyEl = document.getElementById("empty-state");
+  const retryAllBtn = document.getElementById("retry-all-btn");
+
+  let queue = [];
+
+  async function load() {
+    const { clipQueue } = await chrome.storage.local.get("clipQueue");
+    queue = clipQueue || [];
+    render();
+  }
+
+  function render() {
+    listEl.innerHTML = "";
+    emptyEl.classList.toggle("hidden", queue.length > 0);
+    retryAllBtn.disabled = queue.length === 0;
+
+    queue.forEach((entry) => {
+      const item = document.createElement("div");
+      item.className = "pending-item";
+
+      const title = document.createElement("div");
+      title.className = "pending-title";
+      title.textContent = entry.title;
+
+      const url = document.createElement("a");
+      url.className = "pending-url";
+      url.href = entry.url;
+      url.target = "_blank";
+      url.textContent = entry.url;
+
+      const error = document.createElement("div");
+      error.className = "pending-error";
+      error.textContent = entry.lastError;
+
+      const meta = document.createElement("div");
+      meta.className = "pending-meta";
+      meta.textContent = describeEntry(entry);
+
+      const actions = document.createElement("div");
+      actions.className = "pending-actions";
+
+      const retryBtn = document.createElement("button");
+      retryBtn.className = "secondary";
+      retryBtn.textContent = "Retry";
+      retryBtn.addEventListener("click", () => retry([entry.id], retryBtn));
+
+      const discardBtn = document.createElement("button");
+      discardBtn.className = "secondary discard";
+      discardBtn.textContent = "Discard";
+      discardBtn.addEventListener("click", async () => {
+        if (!confirm(`Discard "${entry.title}"? The clip will be lost.`)) return;
+        await chrome.runtime.sendMessage({ action: "discardQueued", id: entry.id });
+      });
+
+      actions.appendChild(retryBtn);
+      actions.appendChild(discardBtn);
+      item.appendChild(title);
+      if (entry.url) item.appendChild(url);
+      item.appendChild(error);
+      item.appendChild(meta);
+      item.appendChild(actions);
+      listEl.appendChild(item);
+    });
+  }
+
+  function describeEntry(entry) {
+    const queuedAt = new Date(entry.queuedAt).toLocaleString();
+    const attempts = entry.attempts === 1 ? "1 attempt" : `${entry.attempts} attempts`;
+    const next = new Date(entry.nextAttemptAt).toLocaleTimeString();
+    return `Clipped ${queuedAt} · ${attempts} · next retry around ${next}`;
+  }
+
+  async function retry(ids, button) {
+    button.disabled = true;
+    button.textContent = "Retrying...";
+    await chrome.runtime.sendMessage({ action: "retryQueued", ids: ids });
+    // Succeeded entries disappear through the storage listener
+    button.disabled = false;
+    button.textContent = button === retryAllBtn ? "Retry All" : "Retry";
+  }
+
+  retryAllBtn.addEventListener("click", () =>
+    retry(queue.map((entry) => entry.id), retryAllBtn)
+  );
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.clipQueue) {
+      queue = changes.clipQueue.newValue || [];
+      render();
+    }
+  });
+
+  await load();
+})();
@@ -0,0 +1,233 @@
+// DURA Clipper — Element Picker
+// Hover-and-click picker for clipping specific DOM elements (comment threads,
+// tables, ...) that Readability tends to drop. Injected before content.js.
+//
+// Keys while picking:
+//   Click      pick / unpick the highlighted element
+//   ↑ / ↓      widen to the parent element / narrow back to the child
+//   Backspace  undo the last pick
+//   Enter      finish picking
+//   Esc        cancel and discard all picks
+
+(function (global) {
+  "use strict";
+
+  const Z_INDEX = 2147483646;
+  const ACCENT = "#7c3aed";
+
+  let active = false;
+  let picked = [];
+  let hovered = null;
+  // Elements we widened away from with ↑, so ↓ can narrow back
+  let narrowStack = [];
+  let onFinish = null;
+
+  let hoverBox = null;
+  let pickBoxes = [];
+  let toolbar = null;
+
+  function start(finishCallback) {
+    if (active) return;
+    active = true;
+    onFinish = finishCallback || null;
+
+    hoverBox = createBox("2px solid " + ACCENT, "rgba(124, 58, 237, 0.12)");
+    toolbar = createToolbar();
+    document.documentElement.appendChild(hoverBox);
+    document.documentElement.appendChild(toolbar);
+    renderPicks();
+
+    document.addEventListener("mouseover", onMouseOver, true);
+    document.addEventListener("click", onClick, true);
+    document.addEventListener("keydown", onKeyDown, true);
+    window.addEventListener("scroll", reposition, true);
+    window.addEventListener("resize", reposition, true);
+  }
+
+  function stop() {
+    if (!active) return;
+    active = false;
+
+    document.removeEventListener("mouseover", onMouseOver, true);
+    document.removeEventListener("click", onClick, true);
+    document.removeEventListener("keydown", onKeyDown, true);
+    window.removeEventListener("scroll", reposition, true);
+    window.removeEventListener("resize", reposition, true);
+
+    hoverBox?.remove();
+    toolbar?.remove();
+    pickBoxes.forEach((box) => box.remove());
+    hoverBox = null;
+    toolbar = null;
+    pickBoxes = [];
+    hovered = null;
+    narrowStack = [];
+  }
+
+  function finish() {
+    stop();
+    if (onFinish) onFinish(picked.length);
+  }
+
+  function cancel() {
+    picked = [];
+    stop();
+  }
+
+  function clear() {
+    picked = [];
+  }
+
+  function count() {
+    return picked.length;
+  }
+
+  // Picked elements in document order, skipping any nested inside another pick
+  function pickedHTML() {
+    const roots = picked.filter(
+      (el) => el.isConnected && !picked.some((other) => other !== el && other.contains(el))
+    );
+    roots.sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    );
+    return roots.map((el) => el.outerHTML).join("\n");
+  }
+
+  // MARK: - Event handlers
+
+  function onMouseOver(e) {
+    if (isPickerUI(e.target)) return;
+    narrowStack = [];
+    setHovered(e.target);
+  }
+
+  function onClick(e) {
+    if (isPickerUI(e.target)) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const target = hovered || e.target;
+    const index = picked.indexOf(target);
+    if (index === -1) {
+      picked.push(target);
+    } else {
+      picked.splice(index, 1);
+    }
+    renderPicks();
+  }
+
+  function onKeyDown(e) {
+    switch (e.key) {
+      case "ArrowUp": {
+        const parent = hovered?.parentElement;
+        if (parent && parent !== document.documentElement) {
+          narrowStack.push(hovered);
+          setHovered(parent);
+        }
+        break;
+      }
+      case "ArrowDown": {
+        const child = narrowStack.pop();
+        if (child) setHovered(child);
+        break;
+      }
+      case "Backspace":
+        picked.pop();
+        renderPicks();
+        break;
+      case "Enter":
+        finish();
+        break;
+      case "Escape":
+        cancel();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  // MARK: - Overlay rendering
+
+  function setHovered(el) {
+    hovered = el;
+    positionBox(hoverBox, el);
+  }
+
+  function renderPicks() {
+    pickBoxes.forEach((box) => box.remove());
+    pickBoxes = picked.map((el) => {
+      const box = createBox("2px solid #34d399", "rgba(52, 211, 153, 0.15)");
+      positionBox(box, el);
+      document.documentElement.appendChild(box);
+      return box;
+    });
+    updateToolbar();
+  }
+
+  function reposition() {
+    if (hovered) positionBox(hoverBox, hovered);
+    picked.forEach((el, i) => positionBox(pickBoxes[i], el));
+  }
+
+  function positionBox(box, el) {
+    if (!box || !el) return;
+    const rect = el.getBoundingClientRect();
+    Object.assign(box.style, {
+      top: rect.top + "px",
+      left: rect.left + "px",
+      width: rect.width + "px",
+      height: rect.height + "px",
+    });
+  }
+
+  function createBox(border, background) {
+    const box = document.createElement("div");
+    box.className = "dura-picker-ui";
+    Object.assign(box.style, {
+      position: "fixed",
+      pointerEvents: "none",
+      zIndex: String(Z_INDEX),
+      border: border,
+      background: background,
+      borderRadius: "3px",
+      boxSizing: "border-box",
+    });
+    return box;
+  }
+
+  function createToolbar() {
+    const bar = document.createElement("div");
+    bar.className = "dura-picker-ui";
+    Object.assign(bar.style, {
+      position: "fixed",
+      bottom: "16px",
+      left: "50%",
+      transform: "translateX(-50%)",
+      zIndex: String(Z_INDEX + 1),
+      background: "#1a1a2e",
+      color: "#e0e0e0",
+      border: "1px solid " + ACCENT,
+      borderRadius: "8px",
+      padding: "8px 14px",
+      font: '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      boxShadow: "0 4px 16px rgba(0, 0, 0, 0.4)",
+    });
+    return bar;
+  }
+
+  function updateToolbar() {
+    if (!toolbar) return;
+    const noun = picked.length === 1 ? "element" : "elements";
+    toolbar.textContent =
+      `DURA: ${picked.length} ${noun} picked · Click pick · ↑/↓ parent/child · ` +
+      "Backspace undo · Enter done · Esc cancel";
+  }
+
+  function isPickerUI(el) {
+    return !!el?.closest?.(".dura-picker-ui");
+  }
+
+  global.DuraPicker = { start, stop, cancel, clear, count, pickedHTML };
+})(typeof globalThis !== "undefined" ? globalThis : self);
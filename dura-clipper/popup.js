@@ -5,32 +5,98 @@
 
   const pageTitleEl = document.getElementById("page-title");
   const pageDomainEl = document.getElementById("page-domain");
+  const ruleIndicator = document.getElementById("rule-indicator");
   const errorBanner = document.getElementById("error-banner");
   const errorText = document.getElementById("error-text");
   const modeSelection = document.getElementById("mode-selection");
+  const modePicker = document.getElementById("mode-picker");
+  const modeCollect = document.getElementById("mode-collect");
+  const pagesRow = document.getElementById("pages-row");
+  const pagesCheckbox = document.getElementById("pages-checkbox");
+  const pagesText = document.getElementById("pages-text");
+  const collectSection = document.getElementById("collect");
+  const collectCount = document.getElementById("collect-count");
+  const collectAddBtn = document.getElementById("collect-add-btn");
+  const collectDiscard = document.getElementById("collect-discard");
+  const snippetList = document.getElementById("snippet-list");
+  const highlightCount = document.getElementById("highlight-count");
+  const highlightLink = document.getElementById("highlight-link");
+  const batchRow = document.getElementById("batch-row");
+  const batchCount = document.getElementById("batch-count");
+  const batchLink = document.getElementById("batch-link");
+  const batchSection = document.getElementById("batch");
+  const batchBtn = document.getElementById("batch-btn");
+  const batchSummary = document.getElementById("batch-summary");
+  const batchResults = document.getElementById("batch-results");
   const notebookSelect = document.getElementById("notebook-select");
   const tagsInput = document.getElementById("tags-input");
   const tagSuggestions = document.getElementById("tag-suggestions");
   const saveBtn = document.getElementById("save-btn");
+  const backBtn = document.getElementById("back-btn");
+  const previewSection = document.getElementById("preview");
+  const previewWarning = document.getElementById("preview-warning");
+  const previewTitle = document.getElementById("preview-title");
+  const previewExcerpt = document.getElementById("preview-excerpt");
+  const previewFrontMatter = document.getElementById("preview-front-matter");
+  const previewBodyField = document.getElementById("preview-body-field");
+  const previewBody = document.getElementById("preview-body");
   const successOverlay = document.getElementById("success-overlay");
+  const successText = document.getElementById("success-text");
+  const successDetail = document.getElementById("success-detail");
+  const queueBanner = document.getElementById("queue-banner");
+  const queueText = document.getElementById("queue-text");
+  const queueLink = document.getElementById("queue-link");
+  const historyLink = document.getElementById("history-link");
+  const panelLink = document.getElementById("panel-link");
+  const duplicateBanner = document.getElementById("duplicate-banner");
+  const duplicateText = document.getElementById("duplicate-text");
+  const duplicateUpdateLabel = document.getElementById("duplicate-update-label");
+  const duplicateCancel = document.getElementById("duplicate-cancel");
 
   let currentTab = null;
-
-  // Ensure content script is injected, then send a message.
-  // If the content script isn't loaded yet, inject it programmatically.
-  async function ensureContentScript(tabId) {
-    try {
-      // Ping the content script to see if it's alive
-      await chrome.tabs.sendMessage(tabId, { action: "checkSelection" });
-    } catch {
-      // Content script not loaded — inject it now
-      await chrome.scripting.executeScript({
-        target: { tabId: tabId },
-        files: ["lib/readability.js", "content.js"],
-      });
-      // Brief delay for scripts to initialize
-      await new Promise((r) => setTimeout(r, 100));
-    }
+  // Extraction result shown in the preview, or null before extraction
+  let pending = null;
+  // Most recent history entry for this page, or null if never clipped
+  let previousClip = null;
+  // Whether the page links to a next page of the article
+  let hasNextPage = false;
+  // Whether text is selected in the page
+  let hasSelection = false;
+  // Snippets collected in this tab (collect.js), or null
+  let collection = null;
+
+  const {
+    ensureContentScript,
+    buildMarkdownFile,
+    extractDomain,
+    canonicalUrl,
+    resolveClipDefaults,
+  } = DuraClip;
+
+  // Opened by the "open with tags" shortcut; read once so it doesn't stick
+  const { focusTags } = await chrome.storage.session.get("focusTags");
+  if (focusTags) chrome.storage.session.remove("focusTags");
+
+  // Clips waiting in the retry queue are shown even on pages that can't be clipped
+  renderQueueBanner();
+  queueLink.addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL("pending.html") });
+    window.close();
+  });
+  historyLink.addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL("clips.html") });
+    window.close();
+  });
+  // The side panel stays open next to the page (Chrome 116+)
+  if (chrome.sidePanel?.open) {
+    panelLink.classList.remove("hidden");
+    panelLink.addEventListener("click", (e) => {
+      e.preventDefault();
+      if (!currentTab) return;
+      chrome.sidePanel.open({ windowId: currentTab.windowId }).then(() => window.close());
+    });
   }
 
   // Initialize
@@ -63,6 +129,7 @@
         action: "checkSelection",
       });
       if (selResponse && selResponse.hasSelection) {
+        hasSelection = true;
         modeSelection.disabled = false;
       }
     } catch {
@@ -80,21 +147,31 @@
     "defaultNotebook",
     "defaultClipMode",
     "autoClose",
-    "downloadSubfolder",
     "includeFeaturedImage",
     "tagHistory",
+    "clipRules",
+    "templates",
+    "followPages",
+    "pageLimit",
   ]);
 
+  // Site rule for this page (if any) overrides the stored defaults
+  const clipDefaults = resolveClipDefaults(settings, currentTab.url);
+
   const notebooks = settings.notebooks || ["Inbox", "Research", "Reading List"];
-  const defaultNotebook = settings.defaultNotebook || "Inbox";
-  const defaultMode = settings.defaultClipMode || "full";
+  const defaultNotebook = clipDefaults.notebook;
+  const defaultMode = clipDefaults.mode;
   const autoClose = settings.autoClose !== false;
-  const subfolder = settings.downloadSubfolder || "DURA-Clips";
-  const includeFeaturedImage = settings.includeFeaturedImage || false;
+  const includeFeaturedImage = clipDefaults.includeFeaturedImage;
   const tagHistory = settings.tagHistory || [];
-
-  // Populate notebook dropdown
-  notebooks.forEach((nb) => {
+  const templates = clipDefaults.templates;
+  const pageLimit = settings.pageLimit || 10;
+
+  // Populate notebook dropdown (a rule may name a notebook not in the list)
+  const notebookOptions = notebooks.includes(defaultNotebook)
+    ? notebooks
+    : [...notebooks, defaultNotebook];
+  notebookOptions.forEach((nb) => {
     const opt = document.createElement("option");
     opt.value = nb;
     opt.textContent = nb;
@@ -110,315 +187,507 @@
     defaultRadio.checked = true;
   }
 
-  // Tag autocomplete
-  tagsInput.addEventListener("input", () => {
-    const value = tagsInput.value;
-    const parts = value.split(",");
-    const current = parts[parts.length - 1].trim().toLowerCase();
+  if (clipDefaults.tags.length > 0) {
+    tagsInput.value = clipDefaults.tags.join(", ") + ", ";
+  }
 
-    if (!current || tagHistory.length === 0) {
-      tagSuggestions.classList.add("hidden");
-      return;
+  if (clipDefaults.rule) {
+    ruleIndicator.textContent = `Rule: ${clipDefaults.rule.pattern}`;
+    ruleIndicator.classList.remove("hidden");
+  }
+
+  // Pages clipped before: offer to update that clip instead of a new copy
+  previousClip = await findPreviousClip([currentTab.url]);
+  if (previousClip) {
+    showDuplicateBanner();
+    if (previousClip.clipId && notebookOptions.includes(previousClip.notebook)) {
+      notebookSelect.value = previousClip.notebook;
     }
+  }
+  duplicateCancel.addEventListener("click", (e) => {
+    e.preventDefault();
+    window.close();
+  });
+  document.querySelectorAll('input[name="duplicate"]').forEach((radio) => {
+    radio.addEventListener("change", renderFrontMatterPreview);
+  });
 
-    const matches = tagHistory.filter(
-      (t) =>
-        t.toLowerCase().startsWith(current) &&
-        !parts
-          .slice(0, -1)
-          .map((p) => p.trim().toLowerCase())
-          .includes(t.toLowerCase())
-    );
+  // A collection started in this tab carries on where it left off
+  collection = await DuraCollect.get(currentTab.id);
+  modeCollect.disabled = !hasSelection && !collection;
+  if (collection) modeCollect.checked = true;
 
-    if (matches.length === 0) {
-      tagSuggestions.classList.add("hidden");
-      return;
+  // Elements picked in the page before the popup reopened take precedence
+  try {
+    const pickerStatus = await chrome.tabs.sendMessage(currentTab.id, {
+      action: "pickerStatus",
+    });
+    if (pickerStatus && pickerStatus.count > 0) {
+      modePicker.checked = true;
     }
+  } catch {
+    // Content script unavailable — nothing was picked
+  }
 
-    tagSuggestions.innerHTML = "";
-    matches.slice(0, 5).forEach((match) => {
-      const div = document.createElement("div");
-      div.className = "suggestion";
-      div.textContent = match;
-      div.addEventListener("click", () => {
-        parts[parts.length - 1] = " " + match;
-        tagsInput.value = parts.join(",") + ", ";
-        tagSuggestions.classList.add("hidden");
-        tagsInput.focus();
-      });
-      tagSuggestions.appendChild(div);
+  // Articles split across pages can be clipped whole (full-page mode only)
+  try {
+    const pagination = await chrome.tabs.sendMessage(currentTab.id, {
+      action: "checkPagination",
+    });
+    if (pagination && pagination.nextPage) {
+      hasNextPage = true;
+      pagesText.textContent = `Include the article's next pages (up to ${pageLimit} in all)`;
+      pagesCheckbox.checked = settings.followPages === true;
+      updatePagesRow();
+    }
+  } catch {
+    // Content script unavailable — treat the page as a single page
+  }
+
+  // Highlights made on the page are exported with the clip
+  try {
+    const highlightStatus = await chrome.tabs.sendMessage(currentTab.id, {
+      action: "highlightStatus",
     });
-    tagSuggestions.classList.remove("hidden");
+    if (highlightStatus && highlightStatus.count > 0) {
+      const noun = highlightStatus.count === 1 ? "highlight" : "highlights";
+      highlightCount.textContent = `${highlightStatus.count} ${noun} on this page`;
+    }
+  } catch {
+    // Content script unavailable — no highlights drawn
+  }
+
+  collectAddBtn.addEventListener("click", collectSelection);
+  collectDiscard.addEventListener("click", async (e) => {
+    e.preventDefault();
+    await DuraCollect.discard(currentTab.id);
+    collection = null;
+    closePreview();
+    updateCollectSection();
+  });
+  updateCollectSection();
+
+  highlightLink.addEventListener("click", async (e) => {
+    e.preventDefault();
+    try {
+      await ensureContentScript(currentTab.id);
+      await chrome.tabs.sendMessage(currentTab.id, { action: "startHighlighter" });
+      window.close();
+    } catch {
+      showError("Highlighting isn't available on this page.");
+    }
+  });
+
+  // The other tabs in the window (or the highlighted ones) in one go
+  const batchTabs = await batchTargets();
+  if (batchTabs.length > 1) {
+    const highlighted = batchTabs.every((tab) => tab.highlighted);
+    batchCount.textContent = highlighted
+      ? `${batchTabs.length} tabs selected`
+      : `${batchTabs.length} tabs in this window`;
+    batchLink.textContent = highlighted ? "Clip selected tabs" : "Clip all tabs";
+    batchBtn.textContent = `Clip ${batchTabs.length} tabs`;
+    batchRow.classList.remove("hidden");
+  }
+  batchLink.addEventListener("click", (e) => {
+    e.preventDefault();
+    batchSection.classList.toggle("hidden");
   });
+  batchBtn.addEventListener("click", clipBatch);
 
-  tagsInput.addEventListener("blur", () => {
-    setTimeout(() => tagSuggestions.classList.add("hidden"), 150);
+  // A batch started from the context menu reports here when it's done
+  const { lastBatch } = await chrome.storage.local.get("lastBatch");
+  if (lastBatch && !lastBatch.seen) {
+    await renderBatchReport(lastBatch);
+  }
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === "batchProgress") {
+      batchBtn.disabled = true;
+      batchBtn.textContent = `Clipping ${message.done + 1} of ${message.total}...`;
+    }
   });
 
-  // Save button
+  // Tag autocomplete
+  DuraTags.attachSuggestions(tagsInput, tagSuggestions, () => tagHistory);
+
+  // Preview / save button: the first click extracts and opens the preview,
+  // the second click saves whatever is in the preview fields.
   saveBtn.addEventListener("click", async () => {
+    if (pending) {
+      await saveClip();
+    } else {
+      await openPreview();
+    }
+  });
+
+  backBtn.addEventListener("click", closePreview);
+
+  // A different mode needs a fresh extraction
+  document.querySelectorAll('input[name="mode"]').forEach((radio) => {
+    radio.addEventListener("change", () => {
+      closePreview();
+      updatePagesRow();
+      updateCollectSection();
+    });
+  });
+  pagesCheckbox.addEventListener("change", closePreview);
+
+  // The content script reports each page it fetches for a multi-page clip
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (message.action === "stitchProgress" && sender.tab?.id === currentTab.id) {
+      saveBtn.textContent = `Reading page ${message.page}...`;
+    }
+  });
+
+  [previewTitle, previewExcerpt, notebookSelect, tagsInput].forEach((el) => {
+    el.addEventListener("input", renderFrontMatterPreview);
+  });
+
+  if (focusTags) tagsInput.focus();
+
+  async function openPreview() {
     saveBtn.disabled = true;
-    saveBtn.textContent = "Clipping...";
+    saveBtn.textContent = "Extracting...";
     hideError();
 
     const mode = document.querySelector('input[name="mode"]:checked').value;
-    const notebook = notebookSelect.value;
-    const tags = tagsInput.value
-      .split(",")
-      .map((t) => t.trim())
-      .filter(Boolean);
 
     try {
       // Ensure content script is injected before extracting
       await ensureContentScript(currentTab.id);
 
-      // Extract page content
-      const extracted = await chrome.tabs.sendMessage(currentTab.id, {
-        action: "extract",
-        mode: mode,
-      });
+      // Picker mode: start the in-page picker if nothing has been picked yet.
+      // The popup closes while picking and reopens when the user presses Enter.
+      if (mode === "picker") {
+        const status = await chrome.tabs.sendMessage(currentTab.id, {
+          action: "pickerStatus",
+        });
+        if (!status || status.count === 0) {
+          await chrome.tabs.sendMessage(currentTab.id, {
+            action: "startPicker",
+          });
+          window.close();
+          return;
+        }
+      }
+
+      // Extract page content (body is converted to Markdown in the page);
+      // a collection has been extracted snippet by snippet
+      const followPages = mode === "full" && hasNextPage && pagesCheckbox.checked;
+      const extracted =
+        mode === "collect"
+          ? collection
+            ? { success: true, ...DuraCollect.toClip(collection) }
+            : { success: false, error: "Add a selection to the collection first." }
+          : await chrome.tabs.sendMessage(currentTab.id, {
+              action: "extract",
+              mode: mode,
+              pageLimit: followPages ? pageLimit : 1,
+            });
 
       if (!extracted || !extracted.success) {
         showError(extracted?.error || "Extraction failed.");
         saveBtn.disabled = false;
-        saveBtn.textContent = "Save Clip";
+        saveBtn.textContent = "Preview Clip";
         return;
       }
 
-      // Convert HTML to Markdown using Turndown
-      let bodyMarkdown = "";
-      if (extracted.bodyHTML && mode !== "bookmark") {
-        bodyMarkdown = htmlToMarkdown(extracted.bodyHTML, extracted.url);
-      }
-
-      // Build the full markdown file
-      const content = buildMarkdownFile(
-        extracted,
-        bodyMarkdown,
-        notebook,
-        tags,
-        includeFeaturedImage
-      );
-      const filename = buildFilename(extracted.title);
-
-      // Download via background
-      await chrome.runtime.sendMessage({
-        action: "download",
-        content: content,
-        filename: filename,
-        subfolder: subfolder,
-      });
+      pending = { ...extracted, clipId: extracted.clipId || crypto.randomUUID() };
 
-      // Update tag history
-      if (tags.length > 0) {
-        const updatedHistory = [...new Set([...tags, ...tagHistory])].slice(
-          0,
-          50
-        );
-        await chrome.storage.sync.set({ tagHistory: updatedHistory });
+      // The page's canonical link may match a clip the tab URL didn't
+      if (!previousClip) {
+        previousClip = await findPreviousClip([extracted.url]);
+        if (previousClip) showDuplicateBanner();
       }
 
-      // Show success
-      successOverlay.classList.remove("hidden");
+      previewTitle.value = extracted.title || "";
+      previewExcerpt.value = extracted.excerpt || "";
+      previewBody.value = extracted.bodyMarkdown || "";
+      previewBodyField.classList.toggle("hidden", mode === "bookmark");
+      previewWarning.classList.toggle("hidden", !extracted.readabilityFailed);
+      renderFrontMatterPreview();
 
-      if (autoClose) {
-        setTimeout(() => window.close(), 1500);
-      }
+      previewSection.classList.remove("hidden");
+      backBtn.classList.remove("hidden");
+      saveBtn.disabled = false;
+      saveBtn.textContent = "Save Clip";
     } catch (e) {
       showError("Failed to clip: " + e.message);
       saveBtn.disabled = false;
-      saveBtn.textContent = "Save Clip";
-    }
-  });
-
-  // Turndown conversion
-  function htmlToMarkdown(html, pageUrl) {
-    const turndownService = new TurndownService({
-      headingStyle: "atx",
-      codeBlockStyle: "fenced",
-      bulletListMarker: "-",
-    });
-
-    // Use GFM plugin for tables
-    if (typeof turndownPluginGfm !== "undefined") {
-      turndownService.use(turndownPluginGfm.gfm);
+      saveBtn.textContent = "Preview Clip";
     }
+  }
 
-    // Demote H1 → H2 (title is already the # heading)
-    turndownService.addRule("demoteH1", {
-      filter: ["h1"],
-      replacement: function (content) {
-        return "\n\n## " + content.trim() + "\n\n";
-      },
-    });
+  function closePreview() {
+    pending = null;
+    previewSection.classList.add("hidden");
+    backBtn.classList.add("hidden");
+    saveBtn.disabled = false;
+    saveBtn.textContent = "Preview Clip";
+  }
 
-    // Strip scripts, styles, iframes (except YouTube/Vimeo)
-    turndownService.addRule("stripScripts", {
-      filter: ["script", "style", "noscript"],
-      replacement: function () {
-        return "";
-      },
-    });
+  // The next-pages option is shown for full-page clips of paginated articles
+  function updatePagesRow() {
+    const mode = document.querySelector('input[name="mode"]:checked').value;
+    pagesRow.classList.toggle("hidden", !hasNextPage || mode !== "full");
+  }
 
-    turndownService.addRule("iframes", {
-      filter: function (node) {
-        return node.nodeName === "IFRAME";
-      },
-      replacement: function (_content, node) {
-        const src = node.getAttribute("src") || "";
-        if (
-          src.includes("youtube.com") ||
-          src.includes("youtu.be") ||
-          src.includes("vimeo.com")
-        ) {
-          return "\n\n" + src + "\n\n";
-        }
-        return "";
-      },
-    });
+  // The collection panel is shown in collect mode; the mode is only offered
+  // with a selection to start from or snippets already collected
+  function updateCollectSection() {
+    modeCollect.disabled = !hasSelection && !collection;
+    if (modeCollect.disabled && modeCollect.checked) {
+      document.querySelector('input[name="mode"][value="full"]').checked = true;
+      updatePagesRow();
+    }
 
-    // Resolve relative URLs
-    turndownService.addRule("absoluteLinks", {
-      filter: function (node) {
-        return (
-          node.nodeName === "A" &&
-          node.getAttribute("href") &&
-          !node.getAttribute("href").startsWith("http") &&
-          !node.getAttribute("href").startsWith("#") &&
-          !node.getAttribute("href").startsWith("mailto:")
-        );
+    const mode = document.querySelector('input[name="mode"]:checked').value;
+    collectSection.classList.toggle("hidden", mode !== "collect");
+    const count = collection ? collection.snippets.length : 0;
+    collectCount.textContent =
+      count === 0
+        ? "Select text in the page to collect it"
+        : `${count} ${count === 1 ? "snippet" : "snippets"} collected`;
+    collectAddBtn.disabled = !hasSelection;
+    collectDiscard.classList.toggle("hidden", count === 0);
+
+    DuraCollect.renderSnippets(snippetList, collection, {
+      onComment: async (id, comment) => {
+        closePreview();
+        collection = await DuraCollect.setComment(currentTab.id, id, comment);
       },
-      replacement: function (content, node) {
-        const href = node.getAttribute("href");
-        try {
-          const absoluteUrl = new URL(href, pageUrl).href;
-          return "[" + content + "](" + absoluteUrl + ")";
-        } catch {
-          return content;
-        }
+      onRemove: async (id) => {
+        closePreview();
+        collection = await DuraCollect.removeSnippet(currentTab.id, id);
+        updateCollectSection();
       },
     });
+  }
 
-    turndownService.addRule("absoluteImages", {
-      filter: function (node) {
-        return (
-          node.nodeName === "IMG" &&
-          node.getAttribute("src") &&
-          !node.getAttribute("src").startsWith("http") &&
-          !node.getAttribute("src").startsWith("data:")
-        );
-      },
-      replacement: function (_content, node) {
-        const src = node.getAttribute("src");
-        const alt = node.getAttribute("alt") || "";
-        try {
-          const absoluteUrl = new URL(src, pageUrl).href;
-          return "![" + alt + "](" + absoluteUrl + ")";
-        } catch {
-          return "";
-        }
-      },
-    });
+  // Adds the page's selection to the tab's collection
+  async function collectSelection() {
+    hideError();
+    try {
+      await ensureContentScript(currentTab.id);
+      const collected = await chrome.tabs.sendMessage(currentTab.id, {
+        action: "collectSelection",
+      });
+      if (!collected || !collected.success) {
+        throw new Error(collected?.error || "Could not read the selection.");
+      }
+      const before = collection ? collection.snippets.length : 0;
+      collection = await DuraCollect.addSnippets(currentTab.id, collected);
+      closePreview();
+      updateCollectSection();
+      if (collection.snippets.length === before) {
+        showError("That selection is already in the collection.");
+      }
+    } catch (e) {
+      showError("Couldn't add the selection: " + e.message);
+    }
+  }
 
-    let md = turndownService.turndown(html);
+  // The extraction result with the user's edits from the preview applied.
+  // Updating a previous clip reuses its clip_id so DURA replaces that note.
+  function editedClip() {
+    const update =
+      previousClip &&
+      previousClip.clipId &&
+      document.querySelector('input[name="duplicate"]:checked').value === "update";
+    return {
+      ...pending,
+      clipId: update ? previousClip.clipId : pending.clipId,
+      title: previewTitle.value.trim(),
+      excerpt: previewExcerpt.value.trim(),
+      bodyMarkdown: previewBody.value.trim(),
+    };
+  }
 
-    // Collapse excessive blank lines (max 2)
-    md = md.replace(/\n{3,}/g, "\n\n");
+  function currentTags() {
+    return DuraTags.parseTags(tagsInput.value);
+  }
 
-    return md.trim();
+  function renderFrontMatterPreview() {
+    if (!pending) return;
+    const clip = editedClip();
+    const file = buildMarkdownFile(
+      clip,
+      clip.bodyMarkdown,
+      notebookSelect.value,
+      currentTags(),
+      includeFeaturedImage,
+      templates
+    );
+    // Front matter is everything up to and including the closing ---
+    const end = file.indexOf("\n---\n", 3);
+    previewFrontMatter.textContent = end === -1 ? file : file.slice(0, end + 4);
   }
 
-  function buildMarkdownFile(
-    extracted,
-    bodyMarkdown,
-    notebook,
-    tags,
-    includeFeaturedImage
-  ) {
-    const now = new Date().toISOString();
-    const title = extracted.title || "Untitled";
-    const url = extracted.url || "";
-    const author = extracted.author || "";
-    const excerpt =
-      extracted.excerpt || bodyMarkdown.substring(0, 160).trim();
-    const type = extracted.mode === "bookmark" ? "bookmark" : "article";
-    const featuredImage = extracted.featuredImage || "";
-
-    const lines = [
-      "---",
-      `title: "${escapeYaml(title)}"`,
-      `url: "${escapeYaml(url)}"`,
-      `author: "${escapeYaml(author)}"`,
-      `clipped_at: "${now}"`,
-      `source: "web"`,
-      `type: "${type}"`,
-      `tags: [${tags.map((t) => `"${escapeYaml(t)}"`).join(", ")}]`,
-      `notebook: "${escapeYaml(notebook)}"`,
-      `excerpt: "${escapeYaml(excerpt.substring(0, 160))}"`,
-      `featured_image: "${escapeYaml(featuredImage)}"`,
-    ];
-
-    if (extracted.readabilityFailed) {
-      lines.push(`readability_failed: true`);
-    }
+  async function saveClip() {
+    saveBtn.disabled = true;
+    saveBtn.textContent = "Clipping...";
+    hideError();
+
+    const notebook = notebookSelect.value;
+    const tags = currentTags();
+    const clip = editedClip();
 
-    lines.push("---");
-    lines.push("");
-    lines.push(`# ${title}`);
-    lines.push("");
-
-    if (url) {
-      const domain = extractDomain(url);
-      const dateStr = new Date().toLocaleDateString("en-US", {
-        year: "numeric",
-        month: "long",
-        day: "numeric",
+    try {
+      // The background builds the file and sends it to DURA (or downloads it)
+      const result = await chrome.runtime.sendMessage({
+        action: "saveClip",
+        clip: clip,
+        notebook: notebook,
+        tags: tags,
+        includeFeaturedImage: includeFeaturedImage,
       });
-      lines.push(`> Clipped from [${domain}](${url}) on ${dateStr}`);
-      lines.push("");
-    }
+      if (!result || !result.success) {
+        throw new Error(result?.error || "no response from the extension");
+      }
 
-    if (
-      includeFeaturedImage &&
-      featuredImage &&
-      type !== "bookmark"
-    ) {
-      lines.push(`![Featured Image](${featuredImage})`);
-      lines.push("");
-    }
+      // Picked elements have been saved; start fresh next time
+      if (clip.mode === "picker") {
+        await chrome.tabs.sendMessage(currentTab.id, { action: "clearPicker" });
+      }
+      // So has the collection (or it's queued); the next one starts empty
+      if (document.querySelector('input[name="mode"]:checked').value === "collect") {
+        await DuraCollect.discard(currentTab.id);
+      }
+
+      // Update tag history
+      await DuraTags.rememberTags(tags);
+
+      // A queued clip isn't saved yet; say so and keep the popup open
+      if (result.delivery === "queued") {
+        showError(`Couldn't save (${result.error}). Queued for retry.`);
+        await renderQueueBanner();
+        saveBtn.textContent = "Save Clip";
+        saveBtn.disabled = false;
+        return;
+      }
+
+      // Show success — a note ID means DURA confirmed the note exists
+      if (result.delivery === "native") {
+        successText.textContent = result.noteId ? "Added to DURA" : "Sent to DURA";
+      } else {
+        successText.textContent = "Saved to Downloads";
+      }
+      if (result.delivery !== "native") {
+        successDetail.textContent = "DURA imports it from the clips folder";
+      } else if (result.noteId) {
+        successDetail.textContent = `Note ${result.noteId.slice(0, 8)}`;
+      } else {
+        successDetail.textContent = "DURA will import it shortly";
+      }
+      successOverlay.classList.remove("hidden");
 
-    if (type !== "bookmark" && bodyMarkdown) {
-      lines.push(bodyMarkdown);
+      if (autoClose) {
+        setTimeout(() => window.close(), 1500);
+      }
+    } catch (e) {
+      showError("Failed to clip: " + e.message);
+      saveBtn.disabled = false;
+      saveBtn.textContent = "Save Clip";
     }
+  }
+
+  // Highlighted tabs when several are, otherwise every tab in the window
+  async function batchTargets() {
+    const highlighted = await chrome.tabs.query({ currentWindow: true, highlighted: true });
+    return highlighted.length > 1 ? highlighted : chrome.tabs.query({ currentWindow: true });
+  }
+
+  // Clips every batch tab in the background, with this popup's mode,
+  // notebook and tags unless each page's defaults were chosen
+  async function clipBatch() {
+    batchBtn.disabled = true;
+    batchBtn.textContent = "Clipping...";
+    hideError();
 
-    return lines.join("\n") + "\n";
+    const useDefaults =
+      document.querySelector('input[name="batch-settings"]:checked').value === "defaults";
+    const tags = currentTags();
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "clipTabs",
+        tabIds: batchTabs.map((tab) => tab.id),
+        overrides: useDefaults
+          ? null
+          : {
+              mode: document.querySelector('input[name="mode"]:checked').value,
+              notebook: notebookSelect.value,
+              tags: tags,
+            },
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || "no response from the extension");
+      }
+      if (!useDefaults) await DuraTags.rememberTags(tags);
+      await renderBatchReport(response.report);
+      await renderQueueBanner();
+    } catch (e) {
+      showError("Failed to clip tabs: " + e.message);
+    }
+    batchBtn.disabled = false;
+    batchBtn.textContent = `Clip ${batchTabs.length} tabs`;
   }
 
-  function buildFilename(title) {
-    const date = new Date().toISOString().split("T")[0];
-    const slug = slugify(title || "untitled").substring(0, 60);
-    return `${date}-${slug}.md`;
+  // One line per tab: saved, queued for retry, or failed with the reason
+  async function renderBatchReport(report) {
+    const count = (status) => report.results.filter((r) => r.status === status).length;
+    const parts = [`${count("saved")} saved`];
+    if (count("queued") > 0) parts.push(`${count("queued")} queued for retry`);
+    if (count("failed") > 0) parts.push(`${count("failed")} failed`);
+    batchSummary.textContent = parts.join(", ");
+    batchSummary.classList.remove("hidden");
+
+    batchResults.innerHTML = "";
+    for (const result of report.results) {
+      const li = document.createElement("li");
+      li.className = result.status;
+      li.textContent = result.title;
+      li.title = result.url;
+      if (result.error) {
+        const error = document.createElement("span");
+        error.className = "batch-error";
+        error.textContent = result.error;
+        li.appendChild(error);
+      }
+      batchResults.appendChild(li);
+    }
+    batchSection.classList.remove("hidden");
+    await chrome.storage.local.set({ lastBatch: { ...report, seen: true } });
   }
 
-  function slugify(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, "")
-      .replace(/[\s_]+/g, "-")
-      .replace(/^-+|-+$/g, "")
-      .replace(/-{2,}/g, "-");
+  // Most recent history entry whose canonical URL matches one of `urls`
+  async function findPreviousClip(urls) {
+    const canonical = new Set(urls.filter(Boolean).map(canonicalUrl));
+    const { clipHistory } = await chrome.storage.local.get("clipHistory");
+    return (clipHistory || []).find((entry) => canonical.has(entry.canonicalUrl)) || null;
   }
 
-  function extractDomain(url) {
-    try {
-      return new URL(url).hostname.replace(/^www\./, "");
-    } catch {
-      return url;
+  function showDuplicateBanner() {
+    const date = new Date(previousClip.clippedAt).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+    duplicateText.textContent = `Already clipped on ${date} into ${previousClip.notebook || "DURA"}.`;
+    // Clips saved before clip IDs existed can't be matched in DURA
+    if (!previousClip.clipId) {
+      duplicateUpdateLabel.classList.add("hidden");
+      document.querySelector('input[name="duplicate"][value="new"]').checked = true;
     }
+    duplicateBanner.classList.remove("hidden");
   }
 
-  function escapeYaml(str) {
-    return (str || "").replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  async function renderQueueBanner() {
+    const { clipQueue } = await chrome.storage.local.get("clipQueue");
+    const count = (clipQueue || []).length;
+    queueText.textContent =
+      count === 1 ? "1 clip waiting to be saved" : `${count} clips waiting to be saved`;
+    queueBanner.classList.toggle("hidden", count === 0);
   }
 
   function showError(msg) {
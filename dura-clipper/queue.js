@@ -0,0 +1,129 @@
+// DURA Clipper — Delivery Queue
+// Imported into the background service worker. Clips that could be neither
+// sent to DURA nor downloaded are kept in chrome.storage.local and retried
+// with exponential backoff: whenever the service worker starts and on an
+// alarm set for the next due retry. The action badge shows how many clips
+// are waiting; pending.html lists them with Retry and Discard buttons.
+// Requires delivery.js.
+
+(function (global) {
+  "use strict";
+
+  const STORAGE_KEY = "clipQueue";
+  const ALARM_NAME = "clip-queue-retry";
+
+  const BASE_DELAY_MS = 30 * 1000;
+  const MAX_DELAY_MS = 60 * 60 * 1000;
+
+  // Queue changes run one at a time; a wake-up, an alarm and a new failed
+  // clip can all arrive together
+  let pending = Promise.resolve();
+
+  function serialized(task) {
+    const result = pending.then(task);
+    pending = result.catch((e) => {
+      console.error("DURA Clipper: queue update failed", e);
+    });
+    return result;
+  }
+
+  async function loadQueue() {
+    const { [STORAGE_KEY]: queue } = await chrome.storage.local.get(STORAGE_KEY);
+    return queue || [];
+  }
+
+  async function saveQueue(queue) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: queue });
+    await updateBadge(queue);
+    await scheduleRetry(queue);
+  }
+
+  // Stores a clip whose delivery failed. `extracted` and `options` are the
+  // arguments deliverClip was called with.
+  function enqueue(extracted, options, error) {
+    return serialized(() => addEntry(extracted, options, error));
+  }
+
+  async function addEntry(extracted, options, error) {
+    // bodyHTML is only needed to build the Markdown, which already happened
+    const { bodyHTML: _bodyHTML, ...clip } = extracted;
+    const queue = await loadQueue();
+    queue.push({
+      id: crypto.randomUUID(),
+      title: clip.title || "Untitled",
+      url: clip.url || "",
+      queuedAt: new Date().toISOString(),
+      attempts: 1,
+      nextAttemptAt: Date.now() + backoff(1),
+      lastError: error?.message || String(error),
+      clip: clip,
+      options: options,
+    });
+    await saveQueue(queue);
+  }
+
+  // Retries every entry that is due, or the entries in `ids` regardless of
+  // backoff.
+  function processQueue(ids) {
+    return serialized(() => runQueue(ids));
+  }
+
+  async function runQueue(ids) {
+    const queue = await loadQueue();
+    const now = Date.now();
+    const remaining = [];
+
+    for (const entry of queue) {
+      const due = ids ? ids.includes(entry.id) : entry.nextAttemptAt <= now;
+      if (!due) {
+        remaining.push(entry);
+        continue;
+      }
+      try {
+        await DuraDelivery.attemptDelivery(entry.clip, entry.options);
+      } catch (e) {
+        entry.attempts += 1;
+        entry.nextAttemptAt = Date.now() + backoff(entry.attempts);
+        entry.lastError = e.message || String(e);
+        remaining.push(entry);
+      }
+    }
+
+    await saveQueue(remaining);
+  }
+
+  function discard(id) {
+    return serialized(async () => {
+      const queue = await loadQueue();
+      await saveQueue(queue.filter((entry) => entry.id !== id));
+    });
+  }
+
+  // 30s, 1m, 2m, 4m, ... capped at an hour
+  function backoff(attempts) {
+    return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+  }
+
+  async function updateBadge(queue) {
+    const count = (queue || (await loadQueue())).length;
+    await chrome.action.setBadgeText({ text: count > 0 ? String(count) : "" });
+    await chrome.action.setBadgeBackgroundColor({ color: "#dc2626" });
+  }
+
+  async function scheduleRetry(queue) {
+    await chrome.alarms.clear(ALARM_NAME);
+    if (queue.length === 0) return;
+    const next = Math.min(...queue.map((entry) => entry.nextAttemptAt));
+    // Alarms fire no sooner than 30 seconds out
+    chrome.alarms.create(ALARM_NAME, { when: Math.max(next, Date.now() + BASE_DELAY_MS) });
+  }
+
+  global.DuraQueue = {
+    STORAGE_KEY,
+    ALARM_NAME,
+    enqueue,
+    processQueue,
+    discard,
+    updateBadge,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,549 @@
+// DURA Clipper — Side Panel Script
+// A clipping workspace that stays open next to the page. It follows the
+// active tab of its window and keeps a draft clip for each tab: the article
+// as extracted (read again whenever the page loads, until the draft is
+// edited), or the tab's collection of selections (collect.js). Saving goes
+// through the background's `saveClip`, like the popup.
+
+(async function () {
+  "use strict";
+
+  const pageTitleEl = document.getElementById("page-title");
+  const pageDomainEl = document.getElementById("page-domain");
+  const ruleIndicator = document.getElementById("rule-indicator");
+  const historyLink = document.getElementById("history-link");
+  const errorBanner = document.getElementById("error-banner");
+  const errorText = document.getElementById("error-text");
+  const navigatedBanner = document.getElementById("navigated-banner");
+  const navigatedReset = document.getElementById("navigated-reset");
+  const duplicateBanner = document.getElementById("duplicate-banner");
+  const duplicateText = document.getElementById("duplicate-text");
+  const duplicateUpdateLabel = document.getElementById("duplicate-update-label");
+  const collectSection = document.getElementById("collect");
+  const collectCount = document.getElementById("collect-count");
+  const collectAddBtn = document.getElementById("collect-add-btn");
+  const collectDiscard = document.getElementById("collect-discard");
+  const snippetList = document.getElementById("snippet-list");
+  const titleInput = document.getElementById("clip-title");
+  const excerptInput = document.getElementById("clip-excerpt");
+  const notebookSelect = document.getElementById("notebook-select");
+  const tagsInput = document.getElementById("tags-input");
+  const tagSuggestions = document.getElementById("tag-suggestions");
+  const previewWarning = document.getElementById("preview-warning");
+  const previewFrontMatter = document.getElementById("preview-front-matter");
+  const previewBodyField = document.getElementById("preview-body-field");
+  const previewBody = document.getElementById("preview-body");
+  const resetBtn = document.getElementById("reset-btn");
+  const saveBtn = document.getElementById("save-btn");
+  const savedBanner = document.getElementById("saved-banner");
+
+  const { ensureContentScript, buildMarkdownFile, extractDomain, canonicalUrl, resolveClipDefaults } =
+    DuraClip;
+
+  const settings = await chrome.storage.sync.get([
+    "notebooks",
+    "defaultNotebook",
+    "defaultClipMode",
+    "includeFeaturedImage",
+    "tagHistory",
+    "clipRules",
+    "templates",
+    "followPages",
+    "pageLimit",
+  ]);
+  // The panel stays open while settings change in the options page
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "sync") return;
+    for (const [key, change] of Object.entries(changes)) settings[key] = change.newValue;
+  });
+
+  const { id: windowId } = await chrome.windows.getCurrent();
+
+  // Drafts by tab id, and the one on show
+  const drafts = new Map();
+  let draft = null;
+
+  historyLink.addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL("clips.html") });
+  });
+
+  DuraTags.attachSuggestions(tagsInput, tagSuggestions, () => settings.tagHistory || []);
+
+  // Edits go straight into the draft; the front matter follows them
+  titleInput.addEventListener("input", () => {
+    draft.title = titleInput.value;
+    draft.metadataEdited = true;
+    edited();
+  });
+  excerptInput.addEventListener("input", () => {
+    draft.excerpt = excerptInput.value;
+    draft.metadataEdited = true;
+    edited();
+  });
+  notebookSelect.addEventListener("change", () => {
+    draft.notebook = notebookSelect.value;
+    edited();
+  });
+  tagsInput.addEventListener("input", () => {
+    draft.tags = tagsInput.value;
+    edited();
+  });
+  // Collections are edited snippet by snippet, so only the article's body
+  // is typed into
+  previewBody.addEventListener("input", () => {
+    if (draft.mode === "full" && draft.article) draft.article.body = previewBody.value;
+    edited();
+  });
+  document.querySelectorAll('input[name="duplicate"]').forEach((radio) => {
+    radio.addEventListener("change", () => {
+      draft.duplicate = radio.value;
+      renderFrontMatter();
+    });
+  });
+
+  document.querySelectorAll('input[name="mode"]').forEach((radio) => {
+    radio.addEventListener("change", () => {
+      draft.mode = radio.value;
+      render();
+      if (draft.mode === "full" ? !draft.article : !draft.meta) refresh(draft);
+    });
+  });
+
+  collectAddBtn.addEventListener("click", addSelection);
+  collectDiscard.addEventListener("click", (e) => {
+    e.preventDefault();
+    DuraCollect.discard(draft.tabId);
+  });
+  saveBtn.addEventListener("click", saveDraft);
+  resetBtn.addEventListener("click", startOver);
+  navigatedReset.addEventListener("click", (e) => {
+    e.preventDefault();
+    startOver();
+  });
+
+  // Follow the window's active tab and the pages it loads
+  chrome.tabs.onActivated.addListener((activeInfo) => {
+    if (activeInfo.windowId === windowId) showTab(activeInfo.tabId);
+  });
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (tabId === draft?.tabId && changeInfo.status === "complete") pageLoaded(tab);
+  });
+  chrome.tabs.onRemoved.addListener((tabId) => drafts.delete(tabId));
+
+  // Collections change from here, the popup, the context menu and shortcuts
+  DuraCollect.onChanged((tabId, collection) => {
+    const target = drafts.get(tabId);
+    if (!target) return;
+    const before = snippetIds(target.collection);
+    target.collection = collection;
+    if (target !== draft) return;
+    // Typing a comment changes only that snippet; keep its field focused
+    if (snippetIds(collection) === before) {
+      renderBody();
+      renderFrontMatter();
+      updateSaveButton();
+    } else {
+      render();
+    }
+  });
+
+  // The content script reports each page it fetches for a multi-page clip
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (message.action === "stitchProgress" && sender.tab?.id === draft?.tabId && draft.loading) {
+      saveBtn.textContent = `Reading page ${message.page}...`;
+    }
+  });
+
+  const [activeTab] = await chrome.tabs.query({ active: true, windowId: windowId });
+  if (activeTab) await showTab(activeTab.id);
+
+  // MARK: - Drafts
+
+  // A new draft for `tab`, in `mode` or the page's default one. A
+  // collection already started in the tab is picked up.
+  async function createDraft(tab, mode) {
+    const url = tab.url || "";
+    const defaults = resolveClipDefaults(settings, url);
+    const collection = await DuraCollect.get(tab.id);
+    const defaultMode =
+      collection || defaults.mode === "selection"
+        ? "collect"
+        : defaults.mode === "bookmark"
+          ? "bookmark"
+          : "full";
+
+    let blocked = "";
+    if (!/^(https?|file):/.test(url)) blocked = "Cannot clip this type of page.";
+    else if (url.endsWith(".pdf")) blocked = "Download this PDF and import directly into DURA.";
+
+    return {
+      tabId: tab.id,
+      url: url,
+      pageTitle: tab.title || "Untitled",
+      defaults: defaults,
+      blocked: blocked,
+      mode: mode || defaultMode,
+      // Extraction results: the article for full-page clips, the page's
+      // metadata for collections and bookmarks
+      article: null,
+      meta: null,
+      collection: collection,
+      title: "",
+      excerpt: "",
+      notebook: defaults.notebook,
+      tags: defaults.tags.length > 0 ? defaults.tags.join(", ") + ", " : "",
+      clipId: crypto.randomUUID(),
+      previousClip: null,
+      duplicate: "update",
+      metadataEdited: false,
+      dirty: false,
+      navigated: false,
+      loading: false,
+    };
+  }
+
+  async function showTab(tabId) {
+    hideError();
+    savedBanner.classList.add("hidden");
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch {
+      return; // Closed in the meantime
+    }
+    if (!drafts.has(tabId)) {
+      const created = await createDraft(tab);
+      if (!drafts.has(tabId)) drafts.set(tabId, created);
+    }
+    draft = drafts.get(tabId);
+    render();
+    if (!draft.blocked && !draft.loading && (draft.mode === "full" ? !draft.article : !draft.meta)) {
+      await refresh(draft);
+    }
+  }
+
+  // A page finished loading in the tab on show. An untouched draft is read
+  // again from the new page; one with edits is kept. Collections carry on
+  // across pages: each snippet links back to its own.
+  async function pageLoaded(tab) {
+    if (draft.mode === "collect" && draft.collection) return;
+    if (draft.dirty && tab.url !== draft.url) {
+      draft.navigated = true;
+      render();
+      return;
+    }
+    if (draft.dirty) return;
+    const fresh = await createDraft(tab, draft.mode);
+    drafts.set(tab.id, fresh);
+    draft = fresh;
+    render();
+    if (!fresh.blocked) refresh(fresh);
+  }
+
+  // Discards the draft, and in collect mode the collection
+  async function startOver() {
+    if (draft.mode === "collect") await DuraCollect.discard(draft.tabId);
+    const tab = await chrome.tabs.get(draft.tabId);
+    const fresh = await createDraft(tab, draft.mode);
+    drafts.set(tab.id, fresh);
+    draft = fresh;
+    hideError();
+    savedBanner.classList.add("hidden");
+    render();
+    if (!fresh.blocked) await refresh(fresh);
+  }
+
+  // The body and highlights the draft's mode clips
+  function content(target) {
+    if (target.mode === "full") {
+      return target.article || { body: "", highlights: [], readabilityFailed: false };
+    }
+    if (target.mode === "collect" && target.collection) {
+      const { markdown, highlights } = DuraCollect.toMarkdown(target.collection);
+      return { body: markdown, highlights: highlights };
+    }
+    return { body: "", highlights: [] };
+  }
+
+  function edited() {
+    draft.dirty = true;
+    renderFrontMatter();
+    updateSaveButton();
+  }
+
+  // MARK: - Extraction
+
+  // Reads the page for the draft's mode: the article, or only its metadata
+  async function refresh(target) {
+    const mode = target.mode === "full" ? "full" : "bookmark";
+    target.loading = true;
+    if (target === draft) updateSaveButton();
+
+    try {
+      await ensureContentScript(target.tabId);
+      const extracted = await chrome.tabs.sendMessage(target.tabId, {
+        action: "extract",
+        mode: mode,
+        pageLimit: mode === "full" && settings.followPages === true ? settings.pageLimit || 10 : 1,
+      });
+      if (!extracted || !extracted.success) {
+        throw new Error(extracted?.error || "Extraction failed.");
+      }
+
+      if (mode === "full") {
+        target.article = {
+          page: extracted,
+          body: extracted.bodyMarkdown || "",
+          highlights: extracted.highlights || [],
+          readabilityFailed: !!extracted.readabilityFailed,
+        };
+      } else {
+        target.meta = extracted;
+      }
+      if (!target.metadataEdited) {
+        target.title = extracted.title || "";
+        target.excerpt = extracted.excerpt || "";
+      }
+      // The page's canonical link may match a clip the tab URL didn't
+      if (!target.previousClip) {
+        target.previousClip = await findPreviousClip([target.url, extracted.url]);
+      }
+    } catch (e) {
+      if (target === draft) showError("Failed to read the page: " + e.message);
+    }
+
+    target.loading = false;
+    if (target === draft) render();
+  }
+
+  // Adds the page's selection to the tab's collection
+  async function addSelection() {
+    const target = draft;
+    hideError();
+    savedBanner.classList.add("hidden");
+    collectAddBtn.disabled = true;
+
+    try {
+      await ensureContentScript(target.tabId);
+      const collected = await chrome.tabs.sendMessage(target.tabId, {
+        action: "collectSelection",
+      });
+      if (!collected || !collected.success) {
+        throw new Error(collected?.error || "Could not read the selection.");
+      }
+      const before = target.collection ? target.collection.snippets.length : 0;
+      target.collection = await DuraCollect.addSnippets(target.tabId, collected);
+      if (target.collection.snippets.length === before) {
+        throw new Error("That selection is already in the collection.");
+      }
+      target.dirty = true;
+
+      if (!target.metadataEdited && !target.title) {
+        target.title = collected.title || "";
+        target.excerpt = collected.excerpt || "";
+      }
+    } catch (e) {
+      if (target === draft) showError(e.message);
+    }
+
+    collectAddBtn.disabled = false;
+    if (target === draft) render();
+  }
+
+  // MARK: - Saving
+
+  // The clip as it stands, with the page's metadata under the user's edits.
+  // Updating a previous clip reuses its clip_id so DURA replaces that note.
+  function draftClip(target) {
+    let page = target.mode === "full" ? target.article?.page : target.meta;
+    if (target.mode === "collect" && target.collection) page = DuraCollect.toClip(target.collection);
+    page = page || {};
+    const previous = target.previousClip;
+    const update = previous && previous.clipId && target.duplicate === "update";
+    const { body, highlights, readabilityFailed } = content(target);
+    return {
+      ...page,
+      mode: target.mode === "collect" ? "selection" : target.mode,
+      clipId: update ? previous.clipId : page.clipId || target.clipId,
+      title: target.title.trim(),
+      excerpt: target.excerpt.trim(),
+      bodyMarkdown: body.trim(),
+      highlights: highlights,
+      readabilityFailed: !!readabilityFailed,
+    };
+  }
+
+  async function saveDraft() {
+    const target = draft;
+    saveBtn.disabled = true;
+    saveBtn.textContent = "Clipping...";
+    hideError();
+    savedBanner.classList.add("hidden");
+
+    const clip = draftClip(target);
+    const tags = DuraTags.parseTags(target.tags);
+    try {
+      // The background builds the file and sends it to DURA (or downloads it)
+      const result = await chrome.runtime.sendMessage({
+        action: "saveClip",
+        clip: clip,
+        notebook: target.notebook,
+        tags: tags,
+        includeFeaturedImage: target.defaults.includeFeaturedImage,
+      });
+      if (!result || !result.success) {
+        throw new Error(result?.error || "no response from the extension");
+      }
+      await DuraTags.rememberTags(tags);
+      // Saved (or queued), the collection is done with
+      if (target.mode === "collect") await DuraCollect.discard(target.tabId);
+
+      // A queued clip isn't saved yet; keep the draft so nothing is lost
+      if (result.delivery === "queued") {
+        if (target === draft) showError(`Couldn't save (${result.error}). Queued for retry.`);
+        updateSaveButton();
+        return;
+      }
+
+      // Saved: the next clip of this page starts fresh, and offers to
+      // update the one just saved
+      const tab = await chrome.tabs.get(target.tabId);
+      const fresh = await createDraft(tab, target.mode);
+      drafts.set(tab.id, fresh);
+      if (target === draft) {
+        draft = fresh;
+        savedBanner.textContent =
+          (result.delivery !== "native"
+            ? "Saved to Downloads: "
+            : result.noteId
+              ? "Added to DURA: "
+              : "Sent to DURA: ") +
+          (clip.title || "Untitled");
+        savedBanner.classList.remove("hidden");
+        render();
+        await refresh(fresh);
+      }
+    } catch (e) {
+      showError("Failed to clip: " + e.message);
+      updateSaveButton();
+    }
+  }
+
+  // Most recent history entry whose canonical URL matches one of `urls`
+  async function findPreviousClip(urls) {
+    const canonical = new Set(urls.filter(Boolean).map(canonicalUrl));
+    const { clipHistory } = await chrome.storage.local.get("clipHistory");
+    return (clipHistory || []).find((entry) => canonical.has(entry.canonicalUrl)) || null;
+  }
+
+  // MARK: - Rendering
+
+  function render() {
+    pageTitleEl.textContent = draft.pageTitle;
+    pageDomainEl.textContent = draft.url ? extractDomain(draft.url) : "";
+    ruleIndicator.textContent = draft.defaults.rule ? `Rule: ${draft.defaults.rule.pattern}` : "";
+    ruleIndicator.classList.toggle("hidden", !draft.defaults.rule);
+
+    if (draft.blocked) showError(draft.blocked);
+    navigatedBanner.classList.toggle("hidden", !draft.navigated);
+    renderDuplicateBanner();
+
+    document.querySelector(`input[name="mode"][value="${draft.mode}"]`).checked = true;
+    collectSection.classList.toggle("hidden", draft.mode !== "collect");
+    const count = draft.collection ? draft.collection.snippets.length : 0;
+    collectCount.textContent =
+      count === 0
+        ? "Select text in the page to collect it"
+        : `${count} ${count === 1 ? "snippet" : "snippets"} collected`;
+    collectDiscard.classList.toggle("hidden", count === 0);
+    DuraCollect.renderSnippets(snippetList, draft.collection, {
+      onComment: (id, comment) => DuraCollect.setComment(draft.tabId, id, comment),
+      onRemove: (id) => DuraCollect.removeSnippet(draft.tabId, id),
+    });
+
+    titleInput.value = draft.title;
+    excerptInput.value = draft.excerpt;
+    renderNotebooks();
+    tagsInput.value = draft.tags;
+
+    renderBody();
+    renderFrontMatter();
+    updateSaveButton();
+  }
+
+  function renderBody() {
+    const { body, readabilityFailed } = content(draft);
+    previewBody.value = body;
+    previewBody.readOnly = draft.mode === "collect";
+    previewBodyField.classList.toggle("hidden", draft.mode === "bookmark");
+    previewWarning.classList.toggle("hidden", draft.mode !== "full" || !readabilityFailed);
+  }
+
+  // Settings' notebooks, plus the draft's if a rule named one not in the list
+  function renderNotebooks() {
+    const notebooks = settings.notebooks || ["Inbox", "Research", "Reading List"];
+    const options = notebooks.includes(draft.notebook) ? notebooks : [...notebooks, draft.notebook];
+    notebookSelect.innerHTML = "";
+    options.forEach((nb) => {
+      const opt = document.createElement("option");
+      opt.value = nb;
+      opt.textContent = nb;
+      notebookSelect.appendChild(opt);
+    });
+    notebookSelect.value = draft.notebook;
+  }
+
+  function renderDuplicateBanner() {
+    const previous = draft.previousClip;
+    duplicateBanner.classList.toggle("hidden", !previous);
+    if (!previous) return;
+
+    const date = new Date(previous.clippedAt).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+    duplicateText.textContent = `Already clipped on ${date} into ${previous.notebook || "DURA"}.`;
+    // Clips saved before clip IDs existed can't be matched in DURA
+    duplicateUpdateLabel.classList.toggle("hidden", !previous.clipId);
+    const choice = previous.clipId ? draft.duplicate : "new";
+    document.querySelector(`input[name="duplicate"][value="${choice}"]`).checked = true;
+  }
+
+  function renderFrontMatter() {
+    const clip = draftClip(draft);
+    const file = buildMarkdownFile(
+      clip,
+      clip.bodyMarkdown,
+      draft.notebook,
+      DuraTags.parseTags(draft.tags),
+      draft.defaults.includeFeaturedImage,
+      draft.defaults.templates
+    );
+    // Front matter is everything up to and including the closing ---
+    const end = file.indexOf("\n---\n", 3);
+    previewFrontMatter.textContent = end === -1 ? file : file.slice(0, end + 4);
+  }
+
+  function updateSaveButton() {
+    const empty = draft.mode === "collect" && !draft.collection;
+    saveBtn.disabled = !!draft.blocked || draft.loading || empty;
+    saveBtn.textContent = draft.loading ? "Extracting..." : "Save Clip";
+    collectAddBtn.disabled = !!draft.blocked;
+    resetBtn.disabled = draft.loading;
+  }
+
+  function snippetIds(collection) {
+    return collection ? collection.snippets.map((s) => s.id).join() : "";
+  }
+
+  function showError(msg) {
+    errorText.textContent = msg;
+    errorBanner.classList.remove("hidden");
+  }
+
+  function hideError() {
+    errorBanner.classList.add("hidden");
+  }
+})();
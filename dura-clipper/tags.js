@@ -0,0 +1,68 @@
+// DURA Clipper — Tag Field
+// Comma-separated tag entry shared by the popup and the side panel, with
+// suggestions from the tags used before (`tagHistory` in sync storage).
+
+(function (global) {
+  "use strict";
+
+  const HISTORY_LIMIT = 50;
+  const SUGGESTION_LIMIT = 5;
+
+  function parseTags(value) {
+    return value
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean);
+  }
+
+  // Suggests tags from `history()` that complete the tag being typed in
+  // `input`, listed in `suggestions`. Choosing one fires an input event.
+  function attachSuggestions(input, suggestions, history) {
+    input.addEventListener("input", () => {
+      const parts = input.value.split(",");
+      const current = parts[parts.length - 1].trim().toLowerCase();
+      const used = parts.slice(0, -1).map((p) => p.trim().toLowerCase());
+
+      const matches = current
+        ? history().filter(
+            (t) => t.toLowerCase().startsWith(current) && !used.includes(t.toLowerCase())
+          )
+        : [];
+      if (matches.length === 0) {
+        suggestions.classList.add("hidden");
+        return;
+      }
+
+      suggestions.innerHTML = "";
+      matches.slice(0, SUGGESTION_LIMIT).forEach((match) => {
+        const div = document.createElement("div");
+        div.className = "suggestion";
+        div.textContent = match;
+        div.addEventListener("click", () => {
+          parts[parts.length - 1] = " " + match;
+          input.value = parts.join(",") + ", ";
+          suggestions.classList.add("hidden");
+          input.focus();
+          input.dispatchEvent(new Event("input"));
+        });
+        suggestions.appendChild(div);
+      });
+      suggestions.classList.remove("hidden");
+    });
+
+    input.addEventListener("blur", () => {
+      setTimeout(() => suggestions.classList.add("hidden"), 150);
+    });
+  }
+
+  // Moves `tags` to the front of the tag history. Resolves to the new history.
+  async function rememberTags(tags) {
+    const { tagHistory } = await chrome.storage.sync.get("tagHistory");
+    if (tags.length === 0) return tagHistory || [];
+    const updated = [...new Set([...tags, ...(tagHistory || [])])].slice(0, HISTORY_LIMIT);
+    await chrome.storage.sync.set({ tagHistory: updated });
+    return updated;
+  }
+
+  global.DuraTags = { parseTags, attachSuggestions, rememberTags };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,71 @@
+// DURA Clipper — Templates
+// Renders `{{variable}}` templates used for filenames, the heading line, the
+// attribution line and custom front matter. Date variables take an optional
+// format: `{{date:YYYY/MM}}`, `{{published:MMMM D, YYYY}}`.
+//
+// Format tokens: YYYY YY MMMM MMM MM M DD D HH mm ss
+
+(function (global) {
+  "use strict";
+
+  const MONTHS = [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December",
+  ];
+
+  const TOKEN_PATTERN = /YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|mm|ss/g;
+
+  // Renders `template`, replacing `{{name}}` / `{{name:format}}` with values
+  // from `vars`. Date values are formatted; unknown variables render empty.
+  // `escape(text, value)` post-processes each substituted value (e.g. for
+  // file paths); `value` is the raw variable, so date formats can be told
+  // apart from text.
+  function render(template, vars, escape) {
+    return (template || "").replace(
+      /\{\{\s*([\w-]+)(?::([^}]*))?\s*\}\}/g,
+      (_whole, name, format) => {
+        const value = vars[name];
+        let text;
+        if (value instanceof Date) {
+          text = formatDate(value, format || "YYYY-MM-DD");
+        } else if (Array.isArray(value)) {
+          text = value.join(", ");
+        } else {
+          text = value === undefined || value === null ? "" : String(value);
+        }
+        return escape ? escape(text, value) : text;
+      }
+    );
+  }
+
+  function formatDate(date, format) {
+    const pad = (n) => String(n).padStart(2, "0");
+    const parts = {
+      YYYY: String(date.getFullYear()),
+      YY: String(date.getFullYear()).slice(-2),
+      MMMM: MONTHS[date.getMonth()],
+      MMM: MONTHS[date.getMonth()].slice(0, 3),
+      MM: pad(date.getMonth() + 1),
+      M: String(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      D: String(date.getDate()),
+      HH: pad(date.getHours()),
+      mm: pad(date.getMinutes()),
+      ss: pad(date.getSeconds()),
+    };
+    return format.replace(TOKEN_PATTERN, (token) => parts[token]);
+  }
+
+  // Parses custom front matter lines ("key: {{template}}") into pairs.
+  // Blank lines and lines without a key are ignored.
+  function parseFieldTemplates(text) {
+    const fields = [];
+    for (const line of (text || "").split("\n")) {
+      const match = line.match(/^\s*([A-Za-z_][\w-]*)\s*:\s*(.*?)\s*$/);
+      if (match) fields.push({ key: match[1], template: match[2] });
+    }
+    return fields;
+  }
+
+  global.DuraTemplate = { render, formatDate, parseFieldTemplates };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,64 @@
+// DURA Clipper — filename template and collection Markdown checks
+// Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../yaml.js");
+require("../template.js");
+require("../clip.js");
+require("../collect.js");
+const { buildFilename } = globalThis.DuraClip;
+const { toMarkdown } = globalThis.DuraCollect;
+
+const extracted = {
+  title: "Cats / Dogs: a \\ study",
+  url: "https://example.com/pets",
+  clippedAt: "2026-10-19T12:00:00",
+};
+
+function filename(template, overrides) {
+  return buildFilename({ ...extracted, ...overrides }, "Reading/Later", [], { filename: template });
+}
+
+test("a date format with slashes creates subfolders", () => {
+  assert.equal(filename("{{date:YYYY/MM}}/{{slug}}"), "2026/10/cats-dogs-a-study.md");
+});
+
+test("slashes in text values don't create subfolders", () => {
+  assert.equal(filename("{{notebook}}/{{title}}"), "Reading-Later/Cats - Dogs a - study.md");
+});
+
+test("values can't climb out of the download subfolder", () => {
+  assert.equal(filename("{{title}}/../{{slug}}", { title: ".." }), "untitled.md");
+});
+
+// MARK: - Collections
+
+function snippet(markdown, texts) {
+  return {
+    markdown: markdown,
+    link: "https://example.com/pets#:~:text=x",
+    comment: "",
+    highlights: texts.map((text, i) => ({ id: `${text}-${i}`, text: text, start: markdown.indexOf(text) })),
+  };
+}
+
+test("collection highlights point at their text in the quoted body", () => {
+  const collection = {
+    snippets: [
+      snippet("First paragraph.\n\nSecond **bold** one.\n\n\nThird after two blanks.", [
+        "First",
+        "bold",
+        "Third",
+      ]),
+      { ...snippet("Another\n\nsnippet here.", ["snippet here"]), comment: "A note" },
+    ],
+  };
+  const { markdown, highlights } = toMarkdown(collection);
+  assert.match(markdown, /^> First paragraph\.\n>\n> Second/);
+  assert.equal(highlights.length, 4);
+  for (const highlight of highlights) {
+    assert.equal(markdown.substr(highlight.start, highlight.text.length), highlight.text);
+  }
+});
@@ -0,0 +1,110 @@
+// DURA Clipper — YAML front matter checks
+// Round-trips values through DuraYaml.stringify → DuraYaml.parse and reads
+// the same documents the app's FrontMatterParserTests use, so the two sides
+// stay in step. Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../yaml.js");
+const { stringify, parse } = globalThis.DuraYaml;
+
+function roundTrip(object) {
+  return parse(stringify(object));
+}
+
+// MARK: - Round trip
+
+test("round-trips strings with quotes, escapes and control characters", () => {
+  const object = {
+    title: 'Say "hi" \\ and \t tab',
+    control: "bell \x07 escape \x1B nul \0",
+    unicode: "é ✓   \u{1F600}",
+    colon: "key: value # not a comment",
+    looksLikeOther: "true",
+    number: "42",
+    empty: "",
+    spaces: "  padded  ",
+  };
+  assert.deepEqual(roundTrip(object), object);
+});
+
+test("round-trips multi-line text as block scalars", () => {
+  const object = {
+    strip: "line one\nline two",
+    clip: "ends with newline\n",
+    keep: "kept\n\n\n",
+    indented: "  leading space\nsecond",
+    blanks: "a\n\n\nb",
+    comment: "# starts like a comment\n- and a list",
+  };
+  const yaml = stringify(object);
+  assert.match(yaml, /^strip: \|-$/m);
+  assert.deepEqual(parse(yaml), object);
+});
+
+test("round-trips nested maps, lists and plain scalars", () => {
+  const object = {
+    schema_version: 1,
+    tags: ["swift", "b, c"],
+    empty: [],
+    emptyMap: {},
+    authors: [
+      { name: "Jane Doe", urls: ["https://example.com"] },
+      { name: "John Roe" },
+    ],
+    meta: { site: { name: "Example", paywalled: false }, rating: 4.5, missing: null },
+  };
+  assert.deepEqual(roundTrip(object), object);
+});
+
+// MARK: - Documents the app reads (FrontMatterParserTests)
+
+test("decodes double-quoted escapes", () => {
+  const values = parse('title: "Tab\\there\\nnew \\"quoted\\" \\\\ \\x01 é \\L"');
+  assert.equal(values.title, 'Tab\there\nnew "quoted" \\ \x01 é \u2028');
+});
+
+test("reads single-quoted and plain scalars", () => {
+  const values = parse("a: 'it''s'\nb: plain text # trailing comment\nd: null");
+  assert.deepEqual(values, { a: "it's", b: "plain text", d: null });
+});
+
+test("honors block scalar chomping and folding", () => {
+  const values = parse(
+    [
+      "strip: |-",
+      "  line one",
+      "  line two: with colon",
+      "",
+      "  # not a comment",
+      "keep: |+",
+      "  kept",
+      "",
+      "",
+      "indented: |2-",
+      "    leading space",
+      "  second",
+      "summary: >-",
+      "  one",
+      "  two",
+      "",
+      "  three",
+      'next: "after"',
+    ].join("\n")
+  );
+  assert.equal(values.strip, "line one\nline two: with colon\n\n# not a comment");
+  assert.equal(values.keep, "kept\n\n\n");
+  assert.equal(values.indented, "  leading space\nsecond");
+  assert.equal(values.summary, "one two\nthree");
+  assert.equal(values.next, "after");
+});
+
+test("accepts flow lists and a list at the key's own indentation", () => {
+  const values = parse('flow: ["x", \'y\', z]\ntags:\n- one\n- two\ntitle: "After"');
+  assert.deepEqual(values, { flow: ["x", "y", "z"], tags: ["one", "two"], title: "After" });
+});
+
+test("skips lines that are not key-value pairs", () => {
+  assert.deepEqual(parse('just some text\ntitle: "Kept"'), { title: "Kept" });
+});
@@ -0,0 +1,79 @@
+// DURA Clipper — Toast
+// Brief confirmation shown in the page for clips that happen without the
+// popup (keyboard shortcuts). Injected before content.js.
+
+(function (global) {
+  "use strict";
+
+  const Z_INDEX = 2147483647;
+  const ACCENT = "#7c3aed";
+  const ERROR = "#ff6b6b";
+  const DURATION = 3000;
+
+  let toast = null;
+  let timer = null;
+
+  // `kind` is "success" or "error"; errors stay up a little longer
+  function show(text, detail, kind) {
+    hide();
+
+    toast = document.createElement("div");
+    toast.className = "dura-toast";
+    toast.setAttribute("role", kind === "error" ? "alert" : "status");
+    Object.assign(toast.style, {
+      position: "fixed",
+      top: "16px",
+      right: "16px",
+      zIndex: String(Z_INDEX),
+      maxWidth: "320px",
+      background: "#1a1a2e",
+      color: "#e0e0e0",
+      border: "1px solid " + (kind === "error" ? ERROR : ACCENT),
+      borderRadius: "8px",
+      padding: "10px 14px",
+      font: '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      boxShadow: "0 4px 16px rgba(0, 0, 0, 0.4)",
+      transition: "opacity 0.2s",
+    });
+
+    const heading = document.createElement("div");
+    heading.textContent = "DURA: " + text;
+    heading.style.fontWeight = "600";
+    toast.appendChild(heading);
+
+    if (detail) {
+      const line = document.createElement("div");
+      line.textContent = detail;
+      Object.assign(line.style, {
+        marginTop: "2px",
+        color: "#8888aa",
+        overflow: "hidden",
+        textOverflow: "ellipsis",
+        whiteSpace: "nowrap",
+      });
+      toast.appendChild(line);
+    }
+
+    toast.addEventListener("click", hide);
+    document.documentElement.appendChild(toast);
+    timer = setTimeout(fadeOut, kind === "error" ? DURATION * 2 : DURATION);
+  }
+
+  function fadeOut() {
+    const fading = toast;
+    if (!fading) return;
+    fading.style.opacity = "0";
+    timer = setTimeout(() => {
+      fading.remove();
+      if (toast === fading) toast = null;
+    }, 200);
+  }
+
+  function hide() {
+    clearTimeout(timer);
+    toast?.remove();
+    toast = null;
+  }
+
+  global.DuraToast = { show };
+})(typeof globalThis !== "undefined" ? globalThis : self);
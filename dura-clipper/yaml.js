@@ -0,0 +1,448 @@
+// DURA Clipper — YAML Front Matter
+// Serializer and matching parser for the YAML subset DURA reads
+// (see MarkdownImportProvider / FrontMatterParser in the app).
+//
+// Emitted subset:
+//   - mappings, one `key: value` per line, nested by two-space indentation
+//   - strings always double-quoted, except multi-line text, which becomes a
+//     literal block scalar (`|`, `|-`, `|+`)
+//   - non-empty lists as block sequences (`- item`), empty as `[]` / `{}`
+//   - booleans, finite numbers and null as plain scalars
+//
+// The parser also accepts flow lists of scalars (`["a", "b"]`), single-quoted
+// and plain strings, so front matter written by older versions still reads.
+
+(function (global) {
+  "use strict";
+
+  const INDENT = "  ";
+
+  // MARK: - Serializer
+
+  function stringify(object) {
+    return emitMapping(object, "").join("\n");
+  }
+
+  function emitMapping(object, indent) {
+    const lines = [];
+    for (const [key, value] of Object.entries(object)) {
+      if (value === undefined) continue;
+      lines.push(...emitEntry(indent + emitKey(key) + ":", value, indent));
+    }
+    return lines;
+  }
+
+  function emitSequence(items, indent) {
+    const lines = [];
+    for (const item of items) {
+      if (isPlainObject(item) && Object.keys(item).length > 0) {
+        // First key shares the line with the dash: "- key: value"
+        const nested = emitMapping(item, indent + INDENT);
+        nested[0] = indent + "- " + nested[0].substring(indent.length + INDENT.length);
+        lines.push(...nested);
+      } else {
+        lines.push(...emitEntry(indent + "-", item, indent));
+      }
+    }
+    return lines;
+  }
+
+  // `prefix` is "key:" or "-" already indented; nested content goes one level
+  // deeper than `indent`.
+  function emitEntry(prefix, value, indent) {
+    const childIndent = indent + INDENT;
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return [prefix + " []"];
+      return [prefix, ...emitSequence(value, childIndent)];
+    }
+    if (isPlainObject(value)) {
+      if (Object.keys(value).length === 0) return [prefix + " {}"];
+      return [prefix, ...emitMapping(value, childIndent)];
+    }
+    if (typeof value === "string" && canUseBlockScalar(value)) {
+      return emitBlockScalar(prefix, value, childIndent);
+    }
+    return [prefix + " " + emitScalar(value)];
+  }
+
+  function emitScalar(value) {
+    if (value === null || value === undefined) return "null";
+    if (typeof value === "boolean") return value ? "true" : "false";
+    if (typeof value === "number") {
+      return Number.isFinite(value) ? String(value) : quote(String(value));
+    }
+    if (value instanceof Date) return quote(value.toISOString());
+    return quote(String(value));
+  }
+
+  function emitKey(key) {
+    return /^[A-Za-z_][A-Za-z0-9_-]*$/.test(key) ? key : quote(key);
+  }
+
+  // Literal block scalars can hold any printable text; control characters
+  // (other than tab) and carriage returns must be escaped in quotes instead.
+  function canUseBlockScalar(value) {
+    return (
+      value.includes("\n") &&
+      /\S/.test(value) &&
+      !/[\x00-\x08\x0B-\x1F\x7F-\x9F\u2028\u2029\uFEFF]/.test(value)
+    );
+  }
+
+  function emitBlockScalar(prefix, value, indent) {
+    const trailing = value.match(/\n*$/)[0].length;
+    const chomp = trailing === 0 ? "-" : trailing === 1 ? "" : "+";
+    const body = trailing === 0 ? value : value.slice(0, -trailing);
+    // A leading space would be read as indentation; state it explicitly
+    const indicator = /^\n*[ \t]/.test(body) ? String(INDENT.length) : "";
+
+    const lines = [prefix + " |" + indicator + chomp];
+    for (const line of body.split("\n")) {
+      lines.push(line ? indent + line : "");
+    }
+    for (let i = 1; i < trailing; i++) {
+      lines.push("");
+    }
+    return lines;
+  }
+
+  const ESCAPES = {
+    "\\": "\\\\",
+    '"': '\\"',
+    "\0": "\\0",
+    "\x07": "\\a",
+    "\b": "\\b",
+    "\t": "\\t",
+    "\n": "\\n",
+    "\x0B": "\\v",
+    "\f": "\\f",
+    "\r": "\\r",
+    "\x1B": "\\e",
+    "\u0085": "\\N",
+    "\u2028": "\\L",
+    "\u2029": "\\P",
+  };
+
+  function quote(str) {
+    const escaped = str.replace(
+      /[\\"\x00-\x1F\x7F-\x9F\u2028\u2029\uFEFF]/g,
+      (ch) => {
+        if (ESCAPES[ch]) return ESCAPES[ch];
+        const code = ch.charCodeAt(0);
+        return code <= 0xff
+          ? "\\x" + code.toString(16).toUpperCase().padStart(2, "0")
+          : "\\u" + code.toString(16).toUpperCase().padStart(4, "0");
+      }
+    );
+    return '"' + escaped + '"';
+  }
+
+  function isPlainObject(value) {
+    return (
+      value !== null &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      !(value instanceof Date)
+    );
+  }
+
+  // MARK: - Parser
+
+  function parse(text) {
+    const lines = text.replace(/\r\n?/g, "\n").split("\n");
+    const state = { lines, index: 0 };
+    skipBlank(state);
+    if (state.index >= lines.length) return {};
+    const value = parseBlock(state, indentOf(lines[state.index]));
+    return isPlainObject(value) ? value : {};
+  }
+
+  function parseBlock(state, indent) {
+    const line = state.lines[state.index].substring(indent);
+    return isSequenceItem(line)
+      ? parseSequence(state, indent)
+      : parseMapping(state, indent);
+  }
+
+  function parseMapping(state, indent) {
+    const result = {};
+    const { lines } = state;
+
+    while (skipBlank(state) && indentOf(lines[state.index]) === indent) {
+      const line = lines[state.index].substring(indent);
+      if (isSequenceItem(line)) break;
+
+      const split = splitKey(line);
+      state.index++;
+      if (!split) continue; // not a key: value line — ignore it
+
+      result[split.key] = parseValue(state, split.rest, indent, true);
+    }
+
+    return result;
+  }
+
+  function parseSequence(state, indent) {
+    const result = [];
+    const { lines } = state;
+
+    while (skipBlank(state) && indentOf(lines[state.index]) === indent) {
+      const line = lines[state.index].substring(indent);
+      if (!isSequenceItem(line)) break;
+
+      const rest = line.substring(1).replace(/^ +/, "");
+      const column = indent + (line.length - rest.length);
+
+      if (rest && !/^["'[{|>]/.test(rest) && splitKey(rest)) {
+        // "- key: value" starts a mapping indented to the item's column
+        lines[state.index] = " ".repeat(column) + rest;
+        result.push(parseMapping(state, column));
+      } else {
+        state.index++;
+        result.push(parseValue(state, rest, indent, false));
+      }
+    }
+
+    return result;
+  }
+
+  // Value after "key:" or "-". Empty means a nested block (or null).
+  function parseValue(state, rest, indent, inMapping) {
+    const { lines } = state;
+    const trimmed = stripComment(rest).trim();
+
+    if (/^[|>]/.test(trimmed)) {
+      return parseBlockScalar(state, trimmed, indent);
+    }
+    if (trimmed) {
+      return parseInline(trimmed);
+    }
+
+    if (skipBlank(state)) {
+      const nextIndent = indentOf(lines[state.index]);
+      const next = lines[state.index].substring(nextIndent);
+      if (nextIndent > indent) {
+        return parseBlock(state, nextIndent);
+      }
+      // YAML allows a mapping's list value at the key's own indentation
+      if (inMapping && nextIndent === indent && isSequenceItem(next)) {
+        return parseSequence(state, indent);
+      }
+    }
+    return null;
+  }
+
+  function parseBlockScalar(state, header, indent) {
+    const { lines } = state;
+    const folded = header[0] === ">";
+    const chomp = (header.match(/[+-]/) || [""])[0];
+    const explicit = header.match(/[1-9]/);
+
+    const raw = [];
+    while (state.index < lines.length) {
+      const line = lines[state.index];
+      if (line.trim() && indentOf(line) <= indent) break;
+      raw.push(line);
+      state.index++;
+    }
+
+    let contentIndent = indent + (explicit ? Number(explicit[0]) : 0);
+    if (!explicit) {
+      const first = raw.find((l) => l.trim());
+      contentIndent = first ? indentOf(first) : indent + INDENT.length;
+    }
+
+    let body = raw.map((l) => l.substring(contentIndent));
+    if (folded) {
+      body = foldLines(body);
+    }
+
+    // Trailing blank lines are only kept for "+" chomping
+    let trailing = 0;
+    while (body.length > 0 && !body[body.length - 1]) {
+      body.pop();
+      trailing++;
+    }
+    const text = body.join("\n");
+    if (!text) return "";
+    if (chomp === "-") return text;
+    if (chomp === "+") return text + "\n".repeat(trailing + 1);
+    return text + "\n";
+  }
+
+  // A line break between text lines folds to a space; a run of n blank
+  // lines folds to n newlines. Trailing blank lines are left for chomping.
+  function foldLines(lines) {
+    const out = [];
+    let blanks = 0;
+    for (const line of lines) {
+      if (!line) {
+        blanks++;
+        continue;
+      }
+      const prev = out.length - 1;
+      if (prev >= 0 && blanks === 0 && !/^\s/.test(line) && !/^\s/.test(out[prev])) {
+        out[prev] += " " + line;
+      } else {
+        const separators = prev >= 0 ? Math.max(blanks - 1, 0) : blanks;
+        for (let i = 0; i < separators; i++) out.push("");
+        out.push(line);
+      }
+      blanks = 0;
+    }
+    for (let i = 0; i < blanks; i++) out.push("");
+    return out;
+  }
+
+  function parseInline(text) {
+    if (text[0] === '"') return parseDoubleQuoted(text);
+    if (text[0] === "'") return text.slice(1, text.lastIndexOf("'")).replace(/''/g, "'");
+    if (text === "[]") return [];
+    if (text === "{}") return {};
+    if (text[0] === "[" && text[text.length - 1] === "]") {
+      return splitFlow(text.slice(1, -1)).map(parseInline);
+    }
+    return parsePlain(text);
+  }
+
+  function parsePlain(text) {
+    if (/^(null|~)$/i.test(text)) return null;
+    if (/^true$/i.test(text)) return true;
+    if (/^false$/i.test(text)) return false;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+    return text;
+  }
+
+  const UNESCAPES = {
+    "0": "\0",
+    a: "\x07",
+    b: "\b",
+    t: "\t",
+    "\t": "\t",
+    n: "\n",
+    v: "\x0B",
+    f: "\f",
+    r: "\r",
+    e: "\x1B",
+    " ": " ",
+    '"': '"',
+    "/": "/",
+    "\\": "\\",
+    N: "\u0085",
+    _: "\u00A0",
+    L: "\u2028",
+    P: "\u2029",
+  };
+
+  function parseDoubleQuoted(text) {
+    let out = "";
+    for (let i = 1; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '"') break;
+      if (ch !== "\\") {
+        out += ch;
+        continue;
+      }
+      const next = text[++i];
+      const hexLength = { x: 2, u: 4, U: 8 }[next];
+      if (hexLength) {
+        const code = parseInt(text.substr(i + 1, hexLength), 16);
+        out += Number.isNaN(code) ? "" : String.fromCodePoint(code);
+        i += hexLength;
+      } else {
+        out += UNESCAPES[next] ?? next ?? "";
+      }
+    }
+    return out;
+  }
+
+  // Splits the inside of a flow list on commas outside quotes
+  function splitFlow(text) {
+    const items = [];
+    let current = "";
+    let quoteChar = null;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoteChar) {
+        current += ch;
+        if (ch === "\\" && quoteChar === '"') {
+          current += text[++i] || "";
+        } else if (ch === quoteChar) {
+          quoteChar = null;
+        }
+      } else if (ch === '"' || ch === "'") {
+        quoteChar = ch;
+        current += ch;
+      } else if (ch === ",") {
+        items.push(current.trim());
+        current = "";
+      } else {
+        current += ch;
+      }
+    }
+    if (current.trim()) items.push(current.trim());
+    return items.filter(Boolean);
+  }
+
+  // "key: rest" → { key, rest }, or null when the line isn't a mapping entry
+  function splitKey(line) {
+    let key;
+    let after;
+    if (line[0] === '"' || line[0] === "'") {
+      const end = findClosingQuote(line);
+      if (end === -1 || line[end + 1] !== ":") return null;
+      key = parseInline(line.substring(0, end + 1));
+      after = end + 2;
+    } else {
+      const match = line.match(/^([^#:][^:]*?):(?=\s|$)/);
+      if (!match) return null;
+      key = match[1].trim();
+      after = match[0].length;
+    }
+    return { key, rest: line.substring(after) };
+  }
+
+  function findClosingQuote(line) {
+    const quoteChar = line[0];
+    for (let i = 1; i < line.length; i++) {
+      if (quoteChar === '"' && line[i] === "\\") {
+        i++;
+      } else if (line[i] === quoteChar) {
+        if (quoteChar === "'" && line[i + 1] === "'") {
+          i++;
+        } else {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  function stripComment(text) {
+    if (/^\s*["']/.test(text)) return text;
+    return text.replace(/\s+#.*$/, "");
+  }
+
+  function isSequenceItem(line) {
+    return line === "-" || line.startsWith("- ");
+  }
+
+  function indentOf(line) {
+    return line.length - line.replace(/^ +/, "").length;
+  }
+
+  // Advances past blank and comment lines; false at end of input
+  function skipBlank(state) {
+    const { lines } = state;
+    while (
+      state.index < lines.length &&
+      (!lines[state.index].trim() || /^\s*#/.test(lines[state.index]))
+    ) {
+      state.index++;
+    }
+    return state.index < lines.length;
+  }
+
+  global.DuraYaml = { stringify, parse };
+})(typeof globalThis !== "undefined" ? globalThis : self);